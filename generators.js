@@ -4,12 +4,22 @@ import { kruskal } from './generators/kruskal.js';
 import { wilson } from './generators/wilson.js';
 import { cellular_automata } from './generators/cellular_automata.js';
 import { drunkards_walk } from './generators/drunkards_walk.js';
+import { prim } from './generators/prim.js';
+import { recursive_division } from './generators/recursive_division.js';
+import { aldous_broder } from './generators/aldous_broder.js';
+import { hunt_and_kill } from './generators/hunt_and_kill.js';
+import { growing_tree } from './generators/growing_tree.js';
 
 // Unified maze generation algorithms registry
 // Works in both browser and Node.js environments
 export const generators = {
   dfs,
   kruskal,
+  prim,
+  recursive_division,
+  aldous_broder,
+  hunt_and_kill,
+  growing_tree,
   searchformer,
   wilson,
   drunkards_walk,
@@ -0,0 +1,110 @@
+/**
+ * Aldous-Broder algorithm for perfect maze generation (random walk)
+ *
+ * Rooms are the cells where (x % 2 === offset && y % 2 === offset), as in
+ * kruskal.js.  A walker starts in a random room and repeatedly moves to a
+ * random neighbouring room; whenever it enters a room for the first time, the
+ * wall it came through is carved.  Like Wilson's algorithm this samples
+ * uniform spanning trees, which makes it a sanity check for wilson.js, but it
+ * needs far more steps.  The walker is drawn with drawWalkCell.
+ */
+
+const STEPS = [[0, -2], [2, 0], [0, 2], [-2, 0]];
+
+// Rooms two steps from (x, y)
+function roomNeighbors(rows, cols, x, y) {
+  const neighbors = [];
+  for (const [dx, dy] of STEPS) {
+    const nx = x + dx, ny = y + dy;
+    if (nx >= 0 && nx < cols && ny >= 0 && ny < rows) neighbors.push([nx, ny]);
+  }
+  return neighbors;
+}
+
+/**
+ * Incremental walk: `step()` moves the walker once and returns the carved
+ * [wallX, wallY, roomX, roomY] when it entered a new room, else null.
+ */
+function walker(grid, rows, cols, random) {
+  const offset = random() < 0.5 ? 0 : 1;
+  const roomsX = Math.ceil((cols - offset) / 2), roomsY = Math.ceil((rows - offset) / 2);
+  let remaining = roomsX * roomsY - 1;
+  let x = offset + 2 * Math.floor(random() * roomsX);
+  let y = offset + 2 * Math.floor(random() * roomsY);
+  grid[y][x] = 1;
+  const state = {
+    get x() { return x; },
+    get y() { return y; },
+    done: () => remaining === 0,
+    step() {
+      const neighbors = roomNeighbors(rows, cols, x, y);
+      const [nx, ny] = neighbors[Math.floor(random() * neighbors.length)];
+      const wx = (x + nx) >> 1, wy = (y + ny) >> 1;
+      x = nx; y = ny;
+      if (grid[y][x] === 1) return null;
+      grid[wy][wx] = 1;
+      grid[y][x] = 1;
+      remaining--;
+      return [wx, wy, x, y];
+    }
+  };
+  return state;
+}
+
+export const aldous_broder = {
+  name: 'Aldous-Broder (Random Walk)',
+  /**
+   * @param {number} token
+   * @param {object} ctx  { rows, cols, grid, drawCell, drawWalkCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame }
+   */
+  generate(token, ctx) {
+    const { rows, cols, grid, drawCell, drawWalkCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame } = ctx;
+    // Clear any pre-seeded cell (e.g. from generateNewMaze)
+    clearGrid();
+    const walk = walker(grid, rows, cols, Math.random);
+    drawWalkCell(walk.x, walk.y);
+    function step() {
+      if (!abortCheck(token)) return;
+      for (let i = 0; i < stepsPerFrame && !walk.done(); i++) {
+        drawCell(walk.x, walk.y);
+        const carved = walk.step();
+        if (carved) drawCell(carved[0], carved[1]);
+        drawWalkCell(walk.x, walk.y);
+      }
+      if (!walk.done()) {
+        requestAnimationFrame(step);
+      } else {
+        drawCell(walk.x, walk.y);
+        finishMaze(token);
+      }
+    }
+    requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous Aldous-Broder maze generator.
+   * @param {object} params { rows, cols, prng }
+   * @returns {{ grid: number[][], startX: number, startY: number, goalX: number, goalY: number }}
+   */
+  generateSync({ rows, cols, prng }) {
+    // Initialize all walls, then walk until every room is visited
+    const grid = Array(rows).fill(null).map(() => Array(cols).fill(0));
+    const walk = walker(grid, rows, cols, prng);
+    while (!walk.done()) walk.step();
+    // Helper to pick random floor cell
+    const pick = () => {
+      let x, y;
+      do {
+        x = Math.floor(prng() * cols);
+        y = Math.floor(prng() * rows);
+      } while (grid[y][x] === 0);
+      return [x, y];
+    };
+    const [startX, startY] = pick();
+    let [goalX, goalY] = pick();
+    // Ensure goal != start
+    if (startX === goalX && startY === goalY) {
+      [goalX, goalY] = pick();
+    }
+    return { grid, startX, startY, goalX, goalY };
+  }
+};
@@ -0,0 +1,142 @@
+/**
+ * Growing-tree algorithm for perfect maze generation with a tunable
+ * cell-selection policy
+ *
+ * Rooms are the cells where (x % 2 === offset && y % 2 === offset), as in
+ * kruskal.js.  The maze grows from a list of active rooms, starting with one
+ * random room: each step selects an active room, carves to a random unvisited
+ * neighbouring room and activates it, or deactivates the selected room when
+ * it has no unvisited neighbour left.  The selection policy sets the texture:
+ *   newest – the most recently activated room (recursive backtracker, long
+ *            winding passages)
+ *   random – a random active room (Prim-like, many short dead ends)
+ *   oldest – the earliest activated room (long straight passages from the start)
+ *   mix    – newest with probability `mixRatio`, otherwise random
+ * Active rooms are drawn with drawWalkCell.
+ */
+
+export const POLICIES = ['newest', 'random', 'oldest', 'mix'];
+
+const STEPS = [[0, -2], [2, 0], [0, 2], [-2, 0]];
+
+// Rooms two steps from (x, y) that are not part of the maze yet
+function unvisitedNeighbors(grid, rows, cols, x, y) {
+  const neighbors = [];
+  for (const [dx, dy] of STEPS) {
+    const nx = x + dx, ny = y + dy;
+    if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && grid[ny][nx] === 0) neighbors.push([nx, ny]);
+  }
+  return neighbors;
+}
+
+/**
+ * Incremental growing tree: `step()` carves one room and returns
+ * ['carve', wallX, wallY, roomX, roomY], deactivates one and returns
+ * ['done', roomX, roomY], or returns null once no room is active.
+ */
+function grower(grid, rows, cols, random, policy, mixRatio) {
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Growing tree: unknown policy "${policy}" (expected one of: ${POLICIES.join(', ')})`);
+  }
+  if (!(mixRatio >= 0 && mixRatio <= 1)) {
+    throw new Error(`Growing tree: mixRatio must be between 0 and 1 (got ${mixRatio})`);
+  }
+  const offset = random() < 0.5 ? 0 : 1;
+  const roomsX = Math.ceil((cols - offset) / 2), roomsY = Math.ceil((rows - offset) / 2);
+  const x0 = offset + 2 * Math.floor(random() * roomsX);
+  const y0 = offset + 2 * Math.floor(random() * roomsY);
+  grid[y0][x0] = 1;
+  const active = [[x0, y0]];
+
+  function select() {
+    const newest = active.length - 1;
+    switch (policy) {
+      case 'newest': return newest;
+      case 'oldest': return 0;
+      case 'random': return Math.floor(random() * active.length);
+      default: return random() < mixRatio ? newest : Math.floor(random() * active.length);
+    }
+  }
+
+  function step() {
+    if (active.length === 0) return null;
+    const k = select();
+    const [x, y] = active[k];
+    const neighbors = unvisitedNeighbors(grid, rows, cols, x, y);
+    if (neighbors.length === 0) {
+      active.splice(k, 1);
+      return ['done', x, y];
+    }
+    const [nx, ny] = neighbors[Math.floor(random() * neighbors.length)];
+    const wx = (x + nx) >> 1, wy = (y + ny) >> 1;
+    grid[wy][wx] = 1;
+    grid[ny][nx] = 1;
+    active.push([nx, ny]);
+    return ['carve', wx, wy, nx, ny];
+  }
+
+  return { step, start: [x0, y0] };
+}
+
+export const growing_tree = {
+  name: 'Growing Tree',
+  /**
+   * @param {number} token
+   * @param {object} ctx  { rows, cols, grid, drawCell, drawWalkCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame, policy, mixRatio }
+   */
+  generate(token, ctx) {
+    const { rows, cols, grid, drawCell, drawWalkCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame,
+            policy = 'newest', mixRatio = 0.5 } = ctx;
+    // Clear any pre-seeded cell (e.g. from generateNewMaze)
+    clearGrid();
+    const tree = grower(grid, rows, cols, Math.random, policy, mixRatio);
+    drawWalkCell(...tree.start);
+    function step() {
+      if (!abortCheck(token)) return;
+      for (let i = 0; i < stepsPerFrame; i++) {
+        const event = tree.step();
+        if (!event) {
+          finishMaze(token);
+          return;
+        }
+        if (event[0] === 'carve') {
+          drawCell(event[1], event[2]);
+          drawWalkCell(event[3], event[4]);
+        } else {
+          drawCell(event[1], event[2]);
+        }
+      }
+      requestAnimationFrame(step);
+    }
+    requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous growing-tree maze generator.
+   * @param {object} params { rows, cols, prng, policy, mixRatio }
+   *   policy   – 'newest' (default), 'random', 'oldest' or 'mix'
+   *   mixRatio – with 'mix', probability of selecting the newest room (default 0.5)
+   * @returns {{ grid: number[][], startX: number, startY: number, goalX: number, goalY: number }}
+   */
+  generateSync({ rows, cols, prng, policy = 'newest', mixRatio = 0.5 }) {
+    // Initialize all walls, then grow until no room is active
+    const grid = Array(rows).fill(null).map(() => Array(cols).fill(0));
+    const tree = grower(grid, rows, cols, prng, policy, mixRatio);
+    while (tree.step());
+    // Helper to pick random floor cell
+    const pick = () => {
+      let x, y;
+      do {
+        x = Math.floor(prng() * cols);
+        y = Math.floor(prng() * rows);
+      } while (grid[y][x] === 0);
+      return [x, y];
+    };
+    const [startX, startY] = pick();
+    let [goalX, goalY] = pick();
+    // Ensure goal != start
+    if (startX === goalX && startY === goalY) {
+      [goalX, goalY] = pick();
+    }
+    return { grid, startX, startY, goalX, goalY };
+  }
+};
@@ -0,0 +1,132 @@
+/**
+ * Hunt-and-kill algorithm for perfect maze generation
+ *
+ * Rooms are the cells where (x % 2 === offset && y % 2 === offset), as in
+ * kruskal.js.  "Kill": from the current room, carve to a random unvisited
+ * neighbouring room until there is none.  "Hunt": scan the rooms row by row
+ * for the first unvisited room next to a visited one, carve to a random
+ * visited neighbour and start killing from there.  Mazes have long winding
+ * passages like DFS mazes, without DFS's backtracking stack.  The head of the
+ * current passage is drawn with drawWalkCell.
+ */
+
+const STEPS = [[0, -2], [2, 0], [0, 2], [-2, 0]];
+
+// Rooms two steps from (x, y) that are (or are not) part of the maze yet
+function roomNeighbors(grid, rows, cols, x, y, carved) {
+  const neighbors = [];
+  for (const [dx, dy] of STEPS) {
+    const nx = x + dx, ny = y + dy;
+    if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+    if ((grid[ny][nx] === 1) === carved) neighbors.push([nx, ny]);
+  }
+  return neighbors;
+}
+
+/**
+ * Incremental hunt-and-kill: `step()` carves one room and returns the carved
+ * [wallX, wallY, roomX, roomY], or null once every room is part of the maze.
+ * Hunts resume scanning at the first row that may still hold unvisited rooms.
+ */
+function hunter(grid, rows, cols, random) {
+  const offset = random() < 0.5 ? 0 : 1;
+  const roomsX = Math.ceil((cols - offset) / 2), roomsY = Math.ceil((rows - offset) / 2);
+  let x = offset + 2 * Math.floor(random() * roomsX);
+  let y = offset + 2 * Math.floor(random() * roomsY);
+  grid[y][x] = 1;
+  let huntRow = offset;
+
+  function carve(nx, ny) {
+    const wx = (x + nx) >> 1, wy = (y + ny) >> 1;
+    grid[wy][wx] = 1;
+    grid[ny][nx] = 1;
+    x = nx; y = ny;
+    return [wx, wy, nx, ny];
+  }
+
+  function step() {
+    // Kill: walk on into unvisited rooms
+    const unvisited = roomNeighbors(grid, rows, cols, x, y, false);
+    if (unvisited.length > 0) {
+      const [nx, ny] = unvisited[Math.floor(random() * unvisited.length)];
+      return carve(nx, ny);
+    }
+    // Hunt: first unvisited room with a visited neighbour, in row-major order
+    for (let hy = huntRow; hy < rows; hy += 2) {
+      let complete = true;
+      for (let hx = offset; hx < cols; hx += 2) {
+        if (grid[hy][hx] === 1) continue;
+        complete = false;
+        const visited = roomNeighbors(grid, rows, cols, hx, hy, true);
+        if (visited.length === 0) continue;
+        // Carve from a random visited neighbour into the hunted room
+        [x, y] = visited[Math.floor(random() * visited.length)];
+        return carve(hx, hy);
+      }
+      // Rows are only skipped by later hunts once they and all rows above are complete
+      if (complete && hy === huntRow) huntRow += 2;
+    }
+    return null;
+  }
+
+  return { step, get x() { return x; }, get y() { return y; } };
+}
+
+export const hunt_and_kill = {
+  name: 'Hunt-and-Kill',
+  /**
+   * @param {number} token
+   * @param {object} ctx  { rows, cols, grid, drawCell, drawWalkCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame }
+   */
+  generate(token, ctx) {
+    const { rows, cols, grid, drawCell, drawWalkCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame } = ctx;
+    // Clear any pre-seeded cell (e.g. from generateNewMaze)
+    clearGrid();
+    const hunt = hunter(grid, rows, cols, Math.random);
+    drawWalkCell(hunt.x, hunt.y);
+    let carved = true;
+    function step() {
+      if (!abortCheck(token)) return;
+      for (let i = 0; i < stepsPerFrame && carved; i++) {
+        drawCell(hunt.x, hunt.y);
+        carved = hunt.step();
+        if (carved) drawCell(carved[0], carved[1]);
+        drawWalkCell(hunt.x, hunt.y);
+      }
+      if (carved) {
+        requestAnimationFrame(step);
+      } else {
+        drawCell(hunt.x, hunt.y);
+        finishMaze(token);
+      }
+    }
+    requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous hunt-and-kill maze generator.
+   * @param {object} params { rows, cols, prng }
+   * @returns {{ grid: number[][], startX: number, startY: number, goalX: number, goalY: number }}
+   */
+  generateSync({ rows, cols, prng }) {
+    // Initialize all walls, then carve until the hunt finds nothing
+    const grid = Array(rows).fill(null).map(() => Array(cols).fill(0));
+    const hunt = hunter(grid, rows, cols, prng);
+    while (hunt.step());
+    // Helper to pick random floor cell
+    const pick = () => {
+      let x, y;
+      do {
+        x = Math.floor(prng() * cols);
+        y = Math.floor(prng() * rows);
+      } while (grid[y][x] === 0);
+      return [x, y];
+    };
+    const [startX, startY] = pick();
+    let [goalX, goalY] = pick();
+    // Ensure goal != start
+    if (startX === goalX && startY === goalY) {
+      [goalX, goalY] = pick();
+    }
+    return { grid, startX, startY, goalX, goalY };
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * Randomized Prim's algorithm for maze generation with random parity offset
+ *
+ * Rooms are the cells where (x % 2 === offset && y % 2 === offset), as in
+ * kruskal.js.  The maze grows from one random room: each step takes a random
+ * room from the frontier (rooms two steps away from the maze), carves the wall
+ * to a random neighbouring maze room and adds the new room's unvisited
+ * neighbours to the frontier.  The many short dead ends this produces give it
+ * very different branching statistics from DFS, Kruskal and Wilson mazes.
+ * The frontier is drawn with drawWalkCell while the maze grows.
+ */
+
+const STEPS = [[0, -2], [2, 0], [0, 2], [-2, 0]];
+
+// Rooms two steps from (x, y) that are (or are not) part of the maze yet
+function roomNeighbors(grid, rows, cols, x, y, carved) {
+  const neighbors = [];
+  for (const [dx, dy] of STEPS) {
+    const nx = x + dx, ny = y + dy;
+    if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+    if ((grid[ny][nx] === 1) === carved) neighbors.push([nx, ny]);
+  }
+  return neighbors;
+}
+
+// Carve room (x, y) into the maze and return its new frontier rooms
+function addRoom(grid, rows, cols, x, y, inFrontier) {
+  grid[y][x] = 1;
+  const added = [];
+  for (const [nx, ny] of roomNeighbors(grid, rows, cols, x, y, false)) {
+    if (inFrontier[ny * cols + nx]) continue;
+    inFrontier[ny * cols + nx] = 1;
+    added.push([nx, ny]);
+  }
+  return added;
+}
+
+export const prim = {
+  name: "Prim's (Randomized)",
+  /**
+   * @param {number} token
+   * @param {object} ctx  { rows, cols, grid, drawCell, drawWalkCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame }
+   */
+  generate(token, ctx) {
+    const { rows, cols, grid, drawCell, drawWalkCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame } = ctx;
+    // Clear any pre-seeded cell (e.g. from generateNewMaze)
+    clearGrid();
+    const offset = Math.random() < 0.5 ? 0 : 1;
+    const roomsX = Math.ceil((cols - offset) / 2), roomsY = Math.ceil((rows - offset) / 2);
+    const inFrontier = new Uint8Array(rows * cols);
+    const frontier = [];
+    const grow = (x, y) => {
+      drawCell(x, y);
+      for (const [fx, fy] of addRoom(grid, rows, cols, x, y, inFrontier)) {
+        frontier.push([fx, fy]);
+        drawWalkCell(fx, fy);
+      }
+    };
+    grow(offset + 2 * Math.floor(Math.random() * roomsX), offset + 2 * Math.floor(Math.random() * roomsY));
+    function step() {
+      if (!abortCheck(token)) return;
+      for (let i = 0; i < stepsPerFrame && frontier.length > 0; i++) {
+        // Take a random frontier room (swap-remove) and connect it
+        const k = Math.floor(Math.random() * frontier.length);
+        const [x, y] = frontier[k];
+        frontier[k] = frontier[frontier.length - 1];
+        frontier.pop();
+        const carved = roomNeighbors(grid, rows, cols, x, y, true);
+        const [nx, ny] = carved[Math.floor(Math.random() * carved.length)];
+        const wx = (x + nx) >> 1, wy = (y + ny) >> 1;
+        grid[wy][wx] = 1;
+        drawCell(wx, wy);
+        grow(x, y);
+      }
+      if (frontier.length > 0) {
+        requestAnimationFrame(step);
+      } else {
+        finishMaze(token);
+      }
+    }
+    requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous Prim's maze generator.
+   * @param {object} params { rows, cols, prng }
+   * @returns {{ grid: number[][], startX: number, startY: number, goalX: number, goalY: number }}
+   */
+  generateSync({ rows, cols, prng }) {
+    // Initialize all walls
+    const grid = Array(rows).fill(null).map(() => Array(cols).fill(0));
+    // Random parity offset (0 or 1) and first room
+    const offset = prng() < 0.5 ? 0 : 1;
+    const roomsX = Math.ceil((cols - offset) / 2), roomsY = Math.ceil((rows - offset) / 2);
+    const inFrontier = new Uint8Array(rows * cols);
+    const frontier = addRoom(grid, rows, cols,
+      offset + 2 * Math.floor(prng() * roomsX), offset + 2 * Math.floor(prng() * roomsY), inFrontier);
+    // Grow the maze until the frontier is empty
+    while (frontier.length > 0) {
+      const k = Math.floor(prng() * frontier.length);
+      const [x, y] = frontier[k];
+      frontier[k] = frontier[frontier.length - 1];
+      frontier.pop();
+      const carved = roomNeighbors(grid, rows, cols, x, y, true);
+      const [nx, ny] = carved[Math.floor(prng() * carved.length)];
+      grid[(y + ny) >> 1][(x + nx) >> 1] = 1;
+      frontier.push(...addRoom(grid, rows, cols, x, y, inFrontier));
+    }
+    // Helper to pick random floor cell
+    const pick = () => {
+      let x, y;
+      do {
+        x = Math.floor(prng() * cols);
+        y = Math.floor(prng() * rows);
+      } while (grid[y][x] === 0);
+      return [x, y];
+    };
+    const [startX, startY] = pick();
+    let [goalX, goalY] = pick();
+    // Ensure goal != start
+    if (startX === goalX && startY === goalY) {
+      [goalX, goalY] = pick();
+    }
+    return { grid, startX, startY, goalX, goalY };
+  }
+};
@@ -0,0 +1,117 @@
+/**
+ * Recursive division maze generation with random parity offset
+ *
+ * Unlike the carving generators, this one starts from an open field and adds
+ * walls.  Rooms are the cells where (x % 2 === offset && y % 2 === offset), as
+ * in kruskal.js, and the field spans all rooms.  Each chamber (initially the
+ * whole field) is split by a wall along a line between two rows or columns of
+ * rooms, leaving one door, and both halves are divided again until they are a
+ * single room wide.  Splitting across the longer side (randomly for squares)
+ * leaves long straight corridors and room-like regions.
+ */
+
+/**
+ * Divide the open field into a perfect maze, calling `placeWall(x, y)` for
+ * every wall cell added, in order.
+ * @param {number[][]} grid   field already opened (1) over all rooms
+ * @param {number} offset     room parity
+ * @param {number} roomsX     rooms per row
+ * @param {number} roomsY     rooms per column
+ * @param {Function} random   PRNG in [0, 1)
+ * @param {Function} placeWall
+ */
+function divide(grid, offset, roomsX, roomsY, random, placeWall) {
+  // Chambers as inclusive ranges of room indices [x0, y0, x1, y1]
+  const chambers = [[0, 0, roomsX - 1, roomsY - 1]];
+  while (chambers.length > 0) {
+    const [x0, y0, x1, y1] = chambers.pop();
+    const w = x1 - x0 + 1, h = y1 - y0 + 1;
+    if (w < 2 || h < 2) continue;
+    const horizontal = w < h || (w === h && random() < 0.5);
+    // Wall after room row/column k, with a door at room `door` along it
+    const k = (horizontal ? y0 : x0) + Math.floor(random() * ((horizontal ? h : w) - 1));
+    const door = (horizontal ? x0 : y0) + Math.floor(random() * (horizontal ? w : h));
+    const line = offset + 2 * k + 1;
+    const [from, to] = horizontal ? [x0, x1] : [y0, y1];
+    for (let i = offset + 2 * from; i <= offset + 2 * to; i++) {
+      if (i === offset + 2 * door) continue;
+      const [x, y] = horizontal ? [i, line] : [line, i];
+      grid[y][x] = 0;
+      placeWall(x, y);
+    }
+    if (horizontal) chambers.push([x0, y0, x1, k], [x0, k + 1, x1, y1]);
+    else chambers.push([x0, y0, k, y1], [k + 1, y0, x1, y1]);
+  }
+}
+
+// Open the field spanning all rooms; returns the number of rooms along each axis
+function openField(grid, rows, cols, offset, drawCell = () => {}) {
+  const roomsX = Math.ceil((cols - offset) / 2), roomsY = Math.ceil((rows - offset) / 2);
+  for (let y = offset; y <= offset + 2 * (roomsY - 1); y++) {
+    for (let x = offset; x <= offset + 2 * (roomsX - 1); x++) {
+      grid[y][x] = 1;
+      drawCell(x, y);
+    }
+  }
+  return [roomsX, roomsY];
+}
+
+export const recursive_division = {
+  name: 'Recursive Division',
+  /**
+   * Open the field, then divide it synchronously and replay the wall
+   * insertions, stepsPerFrame wall cells per frame.
+   * @param {number} token
+   * @param {object} ctx  { rows, cols, grid, drawCell, drawWallCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame }
+   */
+  generate(token, ctx) {
+    const { rows, cols, grid, drawCell, drawWallCell, stepsPerFrame, finishMaze, clearGrid, abortCheck, requestAnimationFrame } = ctx;
+    // Clear any pre-seeded cell (e.g. from generateNewMaze)
+    clearGrid();
+    const offset = Math.random() < 0.5 ? 0 : 1;
+    const [roomsX, roomsY] = openField(grid, rows, cols, offset, drawCell);
+    const walls = [];
+    divide(grid, offset, roomsX, roomsY, Math.random, (x, y) => walls.push([x, y]));
+    let ptr = 0;
+    function step() {
+      if (!abortCheck(token)) return;
+      for (let i = 0; i < stepsPerFrame && ptr < walls.length; i++, ptr++) {
+        drawWallCell(walls[ptr][0], walls[ptr][1]);
+      }
+      if (ptr < walls.length) {
+        requestAnimationFrame(step);
+      } else {
+        finishMaze(token);
+      }
+    }
+    requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous recursive division maze generator.
+   * @param {object} params { rows, cols, prng }
+   * @returns {{ grid: number[][], startX: number, startY: number, goalX: number, goalY: number }}
+   */
+  generateSync({ rows, cols, prng }) {
+    // Initialize all walls, then open the field
+    const grid = Array(rows).fill(null).map(() => Array(cols).fill(0));
+    const offset = prng() < 0.5 ? 0 : 1;
+    const [roomsX, roomsY] = openField(grid, rows, cols, offset);
+    divide(grid, offset, roomsX, roomsY, prng, () => {});
+    // Helper to pick random floor cell
+    const pick = () => {
+      let x, y;
+      do {
+        x = Math.floor(prng() * cols);
+        y = Math.floor(prng() * rows);
+      } while (grid[y][x] === 0);
+      return [x, y];
+    };
+    const [startX, startY] = pick();
+    let [goalX, goalY] = pick();
+    // Ensure goal != start
+    if (startX === goalX && startY === goalY) {
+      [goalX, goalY] = pick();
+    }
+    return { grid, startX, startY, goalX, goalY };
+  }
+};
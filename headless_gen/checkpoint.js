@@ -0,0 +1,128 @@
+/*
+ * headless_gen/checkpoint.js
+ *
+ * Checkpoint sidecar files for resumable dataset generation.
+ *
+ * A checkpoint records everything needed to continue an interrupted run so
+ * that the final output is byte-for-byte identical to an uninterrupted one:
+ *   • the generation config (must match on resume)
+ *   • `nextIndex`    – first example not yet (fully) written
+ *   • `prngState`    – producer PRNG state right before `nextIndex`
+ *   • `bytesWritten` – output file length at `nextIndex` (compressed bytes for
+ *                      gzip output); anything after it is a partial write and
+ *                      gets truncated on resume
+ *   • `compress`     – whether the output is gzip-compressed
+ *   • `batchSize`    – batch size in effect when the checkpoint was taken
+ */
+
+import fs from 'fs';
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Sidecar path for a given output file.
+ * @param {string} outputPath
+ * @returns {string}
+ */
+export function checkpointPath(outputPath) {
+  return `${outputPath}.ckpt.json`;
+}
+
+/**
+ * Subset of the generation options that determines the output bytes (recorded
+ * in checkpoints and shard manifests).  Mixture runs record their resolved
+ * recipe components instead of a single generator/solver.
+ * Generator and solver params are key-sorted so flag order on the command line
+ * is irrelevant; solver params, the solving direction, trace transforms and
+ * trace swapping are only recorded when set.
+ * @param {Object} opts
+ * @returns {Object}
+ */
+export function generationConfig(opts) {
+  const common = {
+    mode: opts.mode,
+    seed: opts.seed,
+    seeding: opts.seeding || 'sequential',
+    count: opts.count,
+    excludeFrom: opts.excludeFrom || []
+  };
+  if (opts.direction) common.direction = opts.direction;
+  if (opts.traceTransforms && opts.traceTransforms.length > 0) common.traceTransforms = opts.traceTransforms;
+  // Swap blocks follow the batch size unless the whole dataset is one block
+  if (opts.traceSource === 'swapped') {
+    common.traceSource = 'swapped';
+    common.swapScope = opts.swapScope;
+    if (opts.swapScope === 'batch') common.swapBatchSize = opts.batchSize;
+  }
+  // The A* implementation choice does not change the output
+  const { astarImpl, ...solverParams } = opts.solverParams || {};
+  if (Object.keys(solverParams).length > 0) {
+    common.solverParams = sortKeys(solverParams);
+  }
+  if (opts.components) {
+    return {
+      recipe: opts.components.map(c => ({ ...c, generatorParams: sortKeys(c.generatorParams) })),
+      ...common
+    };
+  }
+  return {
+    generatorId: opts.generatorId,
+    solverId: opts.solverId,
+    rows: opts.rows,
+    cols: opts.cols,
+    ...common,
+    generatorParams: sortKeys(opts.generatorParams || {})
+  };
+}
+
+function sortKeys(obj) {
+  const sorted = {};
+  for (const key of Object.keys(obj).sort()) {
+    sorted[key] = obj[key];
+  }
+  return sorted;
+}
+
+/**
+ * Read a checkpoint, or return null if none exists.
+ * @param {string} path
+ * @returns {Object|null}
+ */
+export function readCheckpoint(path) {
+  if (!fs.existsSync(path)) return null;
+  const ckpt = JSON.parse(fs.readFileSync(path, 'utf8'));
+  if (ckpt.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Unsupported checkpoint version ${ckpt.version} in ${path}`);
+  }
+  return ckpt;
+}
+
+/**
+ * Atomically write a checkpoint (write to temp file, then rename), so a crash
+ * mid-write never leaves a corrupt sidecar behind.
+ * @param {string} path
+ * @param {{ config: Object, nextIndex: number, prngState: number, bytesWritten: number, compress: boolean, batchSize: number }} state
+ */
+export function writeCheckpoint(path, state) {
+  const ckpt = {
+    version: CHECKPOINT_VERSION,
+    ...state,
+    updatedAt: new Date().toISOString()
+  };
+  const tmpPath = `${path}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(ckpt, null, 2) + '\n');
+  fs.renameSync(tmpPath, path);
+}
+
+/**
+ * Throw if a checkpoint was taken with a different configuration.
+ * @param {Object} ckpt
+ * @param {Object} config  result of `generationConfig`
+ */
+export function assertSameConfig(ckpt, config) {
+  const expected = JSON.stringify(ckpt.config);
+  const actual = JSON.stringify(config);
+  if (expected !== actual) {
+    throw new Error(`Checkpoint config does not match current options.\n  checkpoint: ${expected}\n  current:    ${actual}`);
+  }
+}
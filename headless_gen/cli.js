@@ -9,6 +9,20 @@
  * Example:
  *   node headless_gen/cli.js --generator searchformer --solver astar \
  *        --mode train --seed 42 --count 50000 > train.jsonl
+ *
+ * With `--resume`, periodic checkpoints are written next to the `-o` file and
+ * an interrupted run can be continued by re-running the same command.
+ *
+ * With `--shard-size N`, `-o` names a directory that receives fixed-size shard
+ * files plus a `manifest.json` (see `shards.js`).
+ *
+ * With `--recipe mix.json`, several generator/solver components are mixed into
+ * one dataset (see `recipe.js`); `--generator` is then not used.
+ *
+ * With `--trace-source swapped`, every example gets the trace of another
+ * example (see `swap.js`) and the source indices go to a sidecar file.
+ *
+ * Output is gzip-compressed with `--compress gzip` or when `-o` ends in `.gz`.
  */
 
 import fs from 'fs';
@@ -16,6 +30,28 @@ import os from 'os';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { generateDatasetWithProgress } from './producer-consumer.js';
+import { checkpointPath, generationConfig, readCheckpoint, writeCheckpoint, assertSameConfig } from './checkpoint.js';
+import { ShardWriter, writeManifest, DEFAULT_SHARD_PATTERN } from './shards.js';
+import { loadRecipe, buildSchedule } from './recipe.js';
+import { DatasetWriter, isGzipPath } from './jsonl.js';
+import { TIEBREAK_POLICIES } from '../solvers/astar.js';
+import { heuristics, HEURISTIC_DEFAULTS } from '../heuristics.js';
+import { heuristicSolvers } from '../solvers.js';
+import { DIRECTIONS } from './direction.js';
+import { TRACE_SOURCES, SWAP_SCOPES, swapTraces, sourcesPath } from './swap.js';
+import { TRACE_TRANSFORMS, parseTransforms } from './transforms.js';
+
+// Options forwarded to some solvers' solveSync (yargs camel-cases the flag)
+const SOLVER_OPTIONS = [
+  { flag: 'max-steps', param: 'maxSteps', solverIds: ['random'] },
+  { flag: 'loop-erase', param: 'loopErase', solverIds: ['random'] },
+  { flag: 'max-trace', param: 'maxTrace', solverIds: ['idastar'] },
+  { flag: 'astar-impl', param: 'astarImpl', solverIds: ['astar'] },
+  { flag: 'astar-tiebreak', param: 'astarTiebreak', solverIds: ['astar'] },
+  { flag: 'heuristic', param: 'heuristic', solverIds: heuristicSolvers },
+  { flag: 'heuristic-weight', param: 'heuristicWeight', solverIds: heuristicSolvers },
+  { flag: 'heuristic-noise', param: 'heuristicNoise', solverIds: heuristicSolvers }
+];
 
 // ---------------- Parse args with yargs --------------
 function parseArgs() {
@@ -23,14 +59,16 @@ function parseArgs() {
     .usage('Usage: $0 [options]\n\nGenerate maze datasets with various algorithms and solvers.')
     .option('generator', {
       alias: 'g',
-      describe: 'Maze generator to use',
-      demandOption: true,
+      describe: 'Maze generator to use (required unless --recipe is given)',
       type: 'string'
     })
     .option('solver', {
       alias: 's',
-      describe: 'Solver to use',
-      demandOption: true,
+      describe: 'Solver to use (default solver for recipe components)',
+      type: 'string'
+    })
+    .option('recipe', {
+      describe: 'JSON recipe describing a mixture of generators/solvers',
       type: 'string'
     })
     .option('rows', {
@@ -57,10 +95,25 @@ function parseArgs() {
       default: 42,
       type: 'number'
     })
+    .option('seeding', {
+      describe: 'PRNG seeding: one sequential stream (paper-compatible) or one PRNG per example',
+      choices: ['sequential', 'per-index'],
+      default: 'sequential',
+      type: 'string'
+    })
+    .option('producers', {
+      describe: 'Number of maze generation threads (per-index seeding only)',
+      type: 'number'
+    })
+    .option('exclude-from', {
+      describe: 'Reject mazes that already appear in these JSONL files',
+      type: 'array',
+      string: true
+    })
     .option('count', {
       alias: 'n',
-      describe: 'Number of examples to generate',
-      default: 1,
+      // No yargs default, so that an explicit --count can be told apart (see --recipe)
+      describe: 'Number of examples to generate (default: 1)',
       type: 'number'
     })
     .option('batch-size', {
@@ -68,13 +121,99 @@ function parseArgs() {
       default: 500,
       type: 'number'
     })
+    .option('max-steps', {
+      describe: 'Step cap for the random solver before it gives up (default: 10 × rows × cols)',
+      type: 'number'
+    })
+    .option('max-trace', {
+      describe: 'Trace length at which the idastar solver gives up (default: 100 × rows × cols)',
+      type: 'number'
+    })
+    .option('loop-erase', {
+      describe: 'Record the loop-erased walk in random solver traces',
+      type: 'boolean'
+    })
+    .option('astar-impl', {
+      describe: 'A* open list implementation (identical output; for comparison)',
+      choices: ['heap', 'linear'],
+      type: 'string'
+    })
+    .option('astar-tiebreak', {
+      describe: 'How A* breaks ties between open nodes with equal f (recorded in each line)',
+      choices: TIEBREAK_POLICIES,
+      type: 'string'
+    })
+    .option('heuristic', {
+      describe: `Heuristic of the ${heuristicSolvers.join('/')} solvers; its values are the cH cost tokens (recorded in each line)`,
+      choices: Object.keys(heuristics),
+      type: 'string'
+    })
+    .option('heuristic-weight', {
+      describe: `Factor w of --heuristic weighted (default: ${HEURISTIC_DEFAULTS.weight})`,
+      type: 'number'
+    })
+    .option('heuristic-noise', {
+      describe: `Largest extra cost added per cell by --heuristic noisy (default: ${HEURISTIC_DEFAULTS.noise})`,
+      type: 'number'
+    })
+    .option('direction', {
+      describe: 'Solve from start to goal, from goal to start, or both (two lines per maze; recorded in each line)',
+      choices: DIRECTIONS,
+      type: 'string'
+    })
+    .option('trace-transform', {
+      describe: `Degrade every trace, in the given order: ${Object.keys(TRACE_TRANSFORMS).join(', ')} (truncate:K keeps K%, inject:P sets the rate; recorded in each line)`,
+      type: 'array',
+      string: true
+    })
+    .option('trace-source', {
+      describe: 'Pair each maze with its own trace or with the trace of another maze (source indices go to a sidecar file)',
+      choices: TRACE_SOURCES,
+      default: 'matched',
+      type: 'string'
+    })
+    .option('swap-scope', {
+      describe: 'Swap traces within blocks of --batch-size examples or across the whole dataset',
+      choices: SWAP_SCOPES,
+      type: 'string'
+    })
     .option('output', {
       alias: 'o',
       describe: 'Write to file instead of stdout',
       type: 'string'
     })
+    .option('compress', {
+      describe: 'Compress the output (default: gzip if --output ends in .gz)',
+      choices: ['none', 'gzip'],
+      type: 'string'
+    })
+    .option('resume', {
+      describe: 'Write checkpoints next to the output file and continue from one if present',
+      default: false,
+      type: 'boolean'
+    })
+    .option('checkpoint-interval', {
+      describe: 'Minimum number of examples between checkpoints (with --resume)',
+      default: 10000,
+      type: 'number'
+    })
+    .option('shard-size', {
+      describe: 'Split output into shards of N examples; --output is then a directory',
+      type: 'number'
+    })
+    .option('shard-pattern', {
+      describe: 'Shard filename pattern ({split}, {index}, {total} placeholders)',
+      default: DEFAULT_SHARD_PATTERN,
+      type: 'string'
+    })
     .example('$0 --generator dfs --solver astar --count 1000', 'Generate 1000 DFS mazes solved with A*')
     .example('$0 -g drunkards_walk -s bfs --coverage 0.7', 'Generate drunkards walk maze with 70% coverage')
+    .example('$0 --recipe mix.json -s astar -n 100000 -o mix.jsonl', 'Mixture dataset described by mix.json')
+    .example('$0 -g wilson -s astar -m test -n 1000 --exclude-from train.jsonl', 'Test split guaranteed disjoint from train')
+    .example('$0 -g wilson -s astar -n 5000000 -o train.jsonl --resume', 'Checkpointed run; re-run to continue after a crash')
+    .example('$0 -g wilson -s astar -n 100000 --shard-size 10000 -o wilson_shards', 'Write 10 shards and a manifest.json into wilson_shards/')
+    .example('$0 -g wilson -s astar -n 50000 --trace-transform truncate:25 drop-costs -o ablation.jsonl', 'Keep the first quarter of each trace, without costs')
+    .example('$0 -g wilson -s astar -n 50000 --trace-source swapped -o swapped.jsonl', 'Mazes paired with the traces of other mazes; sources in swapped.jsonl.sources.jsonl')
     .help('help')
     .alias('help', 'h')
     .strict(false)  // Allow unknown options for generator params
@@ -90,39 +229,251 @@ function parseArgs() {
   const opts = {
     generatorId: argv.generator,
     solverId: argv.solver,
+    recipe: argv.recipe,
     rows: argv.rows,
     cols: argv.cols,
     mode: argv.mode,
     seed: argv.seed,
+    seeding: argv.seeding,
+    producers: argv.producers,
+    excludeFrom: argv.excludeFrom || [],
     count: argv.count,
     batchSize: argv.batchSize,
     output: argv.output,
+    compress: argv.compress,
+    resume: argv.resume,
+    checkpointInterval: argv.checkpointInterval,
+    shardSize: argv.shardSize,
+    shardPattern: argv.shardPattern,
+    direction: argv.direction,
+    traceTransforms: argv.traceTransform || [],
+    traceSource: argv.traceSource,
+    swapScope: argv.swapScope,
+    solverParams: {},
     // All other options become generator params
     generatorParams: {}
   };
   
   // Extract unknown options as generator params
-  const knownOptions = ['generator', 'g', 'solver', 's', 'rows', 'r', 'cols', 'c', 
-                        'mode', 'm', 'seed', 'count', 'n', 'batch-size', 'batchSize',
-                        'output', 'o', 'help', 'h', '_', '$0'];
+  const knownOptions = ['generator', 'g', 'solver', 's', 'recipe', 'rows', 'r', 'cols', 'c', 
+                        'mode', 'm', 'seed', 'seeding', 'producers',
+                        'exclude-from', 'excludeFrom', 'count', 'n', 'batch-size', 'batchSize',
+                        'output', 'o', 'compress', 'resume', 'checkpoint-interval', 'checkpointInterval',
+                        'shard-size', 'shardSize', 'shard-pattern', 'shardPattern', 'direction',
+                        'trace-transform', 'traceTransform', 'trace-source', 'traceSource', 'swap-scope', 'swapScope',
+                        ...SOLVER_OPTIONS.flatMap(o => [o.flag, o.param]),
+                        'help', 'h', '_', '$0'];
   for (const [key, value] of Object.entries(argv)) {
     if (!knownOptions.includes(key)) {
       opts.generatorParams[key] = value;
     }
   }
 
-  let outStream;
-  if (opts.output) {
-    outStream = fs.createWriteStream(opts.output, { flags: 'w' });
+  if (opts.recipe) {
+    if (opts.generatorId || Object.keys(opts.generatorParams).length > 0) {
+      console.error('\n[ERROR] --recipe cannot be combined with --generator or generator params');
+      process.exit(1);
+    }
+    // Resolve components and their interleaving up front; the count comes from the recipe
+    try {
+      const { components, count, countsGiven } = loadRecipe(opts.recipe, { ...opts, count: opts.count ?? 1 });
+      if (countsGiven && opts.count !== undefined) {
+        throw new Error(`--count cannot be combined with recipe ${opts.recipe}, which gives every component a count (${count} examples in total)`);
+      }
+      opts.components = components;
+      opts.count = count;
+      opts.schedule = buildSchedule(components, opts.seed, opts.mode);
+    } catch (err) {
+      console.error('\n[ERROR]', err.message);
+      process.exit(1);
+    }
+  } else if (!opts.generatorId || !opts.solverId) {
+    console.error('\n[ERROR] Missing required argument: --generator and --solver (or --recipe)');
+    process.exit(1);
+  }
+  if (opts.count === undefined) opts.count = 1;
+
+  // Solver-specific options become solver params
+  const usedSolvers = opts.components ? opts.components.map(c => c.solverId) : [opts.solverId];
+  for (const { flag, param, solverIds } of SOLVER_OPTIONS) {
+    if (argv[param] === undefined) continue;
+    if (!usedSolvers.some(id => solverIds.includes(id))) {
+      console.error(`\n[ERROR] --${flag} only applies to the ${solverIds.join(', ')} solver${solverIds.length > 1 ? 's' : ''}`);
+      process.exit(1);
+    }
+    opts.solverParams[param] = argv[param];
+  }
+  if (opts.solverParams.astarImpl === 'linear' && (opts.solverParams.astarTiebreak || 'insertion') !== 'insertion') {
+    console.error('\n[ERROR] --astar-impl linear only supports --astar-tiebreak insertion');
+    process.exit(1);
+  }
+  const { heuristic, heuristicWeight, heuristicNoise } = opts.solverParams;
+  if (heuristicWeight !== undefined) {
+    if (heuristic !== 'weighted') {
+      console.error('\n[ERROR] --heuristic-weight requires --heuristic weighted');
+      process.exit(1);
+    }
+    if (!(heuristicWeight > 0)) {
+      console.error('\n[ERROR] --heuristic-weight must be a positive number');
+      process.exit(1);
+    }
+  }
+  if (heuristicNoise !== undefined) {
+    if (heuristic !== 'noisy') {
+      console.error('\n[ERROR] --heuristic-noise requires --heuristic noisy');
+      process.exit(1);
+    }
+    if (!Number.isInteger(heuristicNoise) || heuristicNoise < 0) {
+      console.error('\n[ERROR] --heuristic-noise must be a non-negative integer');
+      process.exit(1);
+    }
+  }
+  if (opts.solverParams.maxSteps !== undefined && !(opts.solverParams.maxSteps >= 0)) {
+    console.error('\n[ERROR] --max-steps must be a non-negative number');
+    process.exit(1);
+  }
+  if (opts.solverParams.maxTrace !== undefined && !(opts.solverParams.maxTrace >= 1)) {
+    console.error('\n[ERROR] --max-trace must be at least 1');
+    process.exit(1);
+  }
+
+  if (opts.seeding === 'sequential' && opts.producers > 1) {
+    console.error('\n[ERROR] --producers > 1 requires --seeding per-index');
+    process.exit(1);
+  }
+
+  for (const path of opts.excludeFrom) {
+    if (!fs.existsSync(path)) {
+      console.error(`\n[ERROR] --exclude-from file not found: ${path}`);
+      process.exit(1);
+    }
+  }
+
+  try {
+    parseTransforms(opts.traceTransforms);
+  } catch (err) {
+    console.error('\n[ERROR]', err.message);
+    process.exit(1);
+  }
+
+  if (opts.traceSource === 'swapped') {
+    opts.swapScope = opts.swapScope || 'batch';
+    if (!opts.output) {
+      console.error('\n[ERROR] --trace-source swapped requires --output (the source indices go next to it)');
+      process.exit(1);
+    }
+    if (opts.resume) {
+      console.error('\n[ERROR] --trace-source swapped cannot be combined with --resume');
+      process.exit(1);
+    }
+    if (opts.components) {
+      console.error('\n[ERROR] --trace-source swapped cannot be combined with --recipe');
+      process.exit(1);
+    }
+    if (opts.solverId !== 'astar') {
+      console.error('\n[ERROR] --trace-source swapped swaps A* traces and requires --solver astar');
+      process.exit(1);
+    }
+    if (opts.count < 2) {
+      console.error('\n[ERROR] --trace-source swapped needs --count of at least 2');
+      process.exit(1);
+    }
+  } else if (opts.swapScope) {
+    console.error('\n[ERROR] --swap-scope requires --trace-source swapped');
+    process.exit(1);
+  }
+
+  if (opts.shardSize !== undefined) {
+    if (!Number.isInteger(opts.shardSize) || opts.shardSize < 1) {
+      console.error('\n[ERROR] --shard-size must be a positive integer');
+      process.exit(1);
+    }
+    if (!opts.output) {
+      console.error('\n[ERROR] --shard-size requires --output (a directory for the shards)');
+      process.exit(1);
+    }
+    if (opts.resume) {
+      console.error('\n[ERROR] --shard-size cannot be combined with --resume');
+      process.exit(1);
+    }
+  }
+
+  // Explicit --compress wins; otherwise a .gz output file (or shard pattern) turns on gzip
+  if (opts.compress) {
+    opts.compress = opts.compress === 'gzip';
+  } else if (opts.shardSize !== undefined) {
+    opts.compress = isGzipPath(opts.shardPattern);
+  } else {
+    opts.compress = Boolean(opts.output) && isGzipPath(opts.output);
+  }
+
+  // Resume: pick up from an existing checkpoint, discarding any bytes written after it
+  let ckptFile = null;
+  let bytesWritten = 0;
+  if (opts.resume) {
+    if (!opts.output) {
+      console.error('\n[ERROR] --resume requires --output');
+      process.exit(1);
+    }
+    ckptFile = checkpointPath(opts.output);
+    let ckpt;
+    try {
+      ckpt = readCheckpoint(ckptFile);
+      if (ckpt) assertSameConfig(ckpt, generationConfig(opts));
+      if (ckpt && Boolean(ckpt.compress) !== opts.compress) {
+        throw new Error(`Checkpoint was written ${ckpt.compress ? 'with' : 'without'} compression`);
+      }
+    } catch (err) {
+      console.error('\n[ERROR]', err.message);
+      process.exit(1);
+    }
+    if (ckpt) {
+      if (ckpt.nextIndex >= opts.count) {
+        process.stderr.write(`✓ ${opts.output} is already complete (${opts.count} mazes)\n`);
+        return;
+      }
+      const size = fs.existsSync(opts.output) ? fs.statSync(opts.output).size : 0;
+      if (size < ckpt.bytesWritten) {
+        console.error(`\n[ERROR] ${opts.output} is shorter (${size} bytes) than its checkpoint (${ckpt.bytesWritten} bytes)`);
+        process.exit(1);
+      }
+      fs.truncateSync(opts.output, ckpt.bytesWritten);
+      opts.startIndex = ckpt.nextIndex;
+      opts.prngState = ckpt.prngState;
+      opts.batchSize = ckpt.batchSize;
+      bytesWritten = ckpt.bytesWritten;
+      process.stderr.write(`Resuming from example ${ckpt.nextIndex} (${ckpt.bytesWritten} bytes)\n`);
+    }
+  }
+
+  let writer = null;
+  let shardWriter = null;
+  let sourcesWriter = null;
+  if (opts.shardSize !== undefined) {
+    try {
+      shardWriter = new ShardWriter({
+        dir: opts.output,
+        pattern: opts.shardPattern,
+        shardSize: opts.shardSize,
+        count: opts.count,
+        split: opts.mode,
+        compress: opts.compress,
+        linesPerMaze: opts.direction === 'both' ? 2 : 1
+      });
+    } catch (err) {
+      console.error('\n[ERROR]', err.message);
+      process.exit(1);
+    }
   } else {
-    outStream = process.stdout;
+    // stdout when no --output is given
+    writer = new DatasetWriter({ path: opts.output, compress: opts.compress, append: Boolean(opts.startIndex) });
   }
 
   // Validate generator and solver before starting
   const { generators } = await import('../generators.js');
   const { solvers } = await import('../solvers.js');
   
-  if (!generators[opts.generatorId]) {
+  if (!opts.components && !generators[opts.generatorId]) {
     const available = Object.keys(generators).sort();
     console.error(`\n[ERROR] Unknown generator: "${opts.generatorId}"`);
     console.error(`Available generators: ${available.join(', ')}`);
@@ -139,48 +490,114 @@ function parseArgs() {
     process.exit(1);
   }
   
-  if (!solvers[opts.solverId]) {
+  if (!opts.components && !solvers[opts.solverId]) {
     const available = Object.keys(solvers).sort();
     console.error(`\n[ERROR] Unknown solver: "${opts.solverId}"`);
     console.error(`Available solvers: ${available.join(', ')}`);
     process.exit(1);
   }
 
+  if (!opts.components && typeof solvers[opts.solverId].solveSync !== 'function') {
+    const headless = Object.keys(solvers).filter(id => typeof solvers[id].solveSync === 'function').sort();
+    console.error(`\n[ERROR] Solver "${opts.solverId}" is visual-only and cannot generate datasets`);
+    console.error(`Headless solvers: ${headless.join(', ')}`);
+    process.exit(1);
+  }
+
   try {
     const startTime = Date.now();
     
     // Always use parallel generation with progress
     const workers = Math.max(1, os.cpus().length - 2); // Leave cores for producer and main thread
+    // Per-index seeding can spread generation over several producers
+    const producers = opts.seeding === 'per-index'
+      ? (opts.producers || Math.max(1, Math.floor(os.cpus().length / 4)))
+      : 1;
     
-    process.stderr.write(`Using parallel generation with ${workers} solver threads...\n\n`);
-    const generator = generateDatasetWithProgress(opts, { 
+    process.stderr.write(`Using parallel generation with ${producers} producer and ${workers} solver threads...\n\n`);
+    let generator = generateDatasetWithProgress(opts, { 
       workers,
+      producers,
       batchSize: opts.batchSize 
     });
+    if (opts.traceSource === 'swapped') {
+      // Re-pair the solved examples with other examples' traces
+      generator = swapTraces(generator, {
+        count: opts.count,
+        scope: opts.swapScope,
+        batchSize: opts.batchSize,
+        seed: opts.seed,
+        mode: opts.mode
+      });
+      sourcesWriter = new DatasetWriter({ path: sourcesPath(opts.output, Boolean(shardWriter)) });
+    }
     
     // Stream output
+    const config = ckptFile ? generationConfig(opts) : null;
+    let lastCheckpointIdx = opts.startIndex || 0;
     let count = 0;
+    let rejected = 0;
     for await (const item of generator) {
       // Always expect batches from parallel generation
       if (item && item.type === 'batch') {
+        rejected = item.rejected;
+        if (sourcesWriter) {
+          const first = item.nextIndex - item.sources.length;
+          await sourcesWriter.write(item.sources.map((source, i) =>
+            JSON.stringify({ index: first + i, source }) + '\n').join(''));
+        }
+        if (shardWriter) {
+          await shardWriter.write(item.lines);
+          count += item.lines.length;
+          continue;
+        }
         // Write batch of lines - join them for a single write
-        const batchData = item.lines.join('');
-        if (!outStream.write(batchData)) {
-          // Backpressure handling – wait for drain
-          await new Promise(res => outStream.once('drain', res));
+        await writer.write(item.lines.join(''));
+        const checkpointDue = ckptFile &&
+          (item.nextIndex - lastCheckpointIdx >= opts.checkpointInterval || item.nextIndex >= opts.count);
+        if (checkpointDue) {
+          // The checkpoint must never claim bytes that have not reached the file yet
+          const fileBytes = bytesWritten + await writer.sync();
+          writeCheckpoint(ckptFile, {
+            config,
+            nextIndex: item.nextIndex,
+            prngState: item.prngState,
+            bytesWritten: fileBytes,
+            compress: opts.compress,
+            batchSize: opts.batchSize
+          });
+          lastCheckpointIdx = item.nextIndex;
         }
         count += item.lines.length;
       }
     }
     
+    if (shardWriter) {
+      const shards = await shardWriter.close();
+      const manifestPath = writeManifest(opts.output, {
+        config: generationConfig(opts),
+        shardSize: opts.shardSize,
+        shards
+      });
+      process.stderr.write(`Wrote ${shards.length} shards and ${manifestPath}\n`);
+    }
+    if (opts.components && writer && opts.output) {
+      // Record the resolved recipe (component settings and counts) next to the dataset
+      fs.writeFileSync(`${opts.output}.recipe.json`, JSON.stringify(generationConfig(opts), null, 2) + '\n');
+    }
+
     // Final summary
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-    const rate = (opts.count / (Date.now() - startTime) * 1000).toFixed(0);
-    process.stderr.write(`✓ Generated ${opts.count} mazes in ${totalTime}s (${rate} mazes/sec)\n`);
+    const rate = (count / (Date.now() - startTime) * 1000).toFixed(0);
+    process.stderr.write(`✓ Generated ${count} mazes in ${totalTime}s (${rate} mazes/sec)\n`);
+    if (opts.excludeFrom.length > 0) {
+      process.stderr.write(`  Rejected ${rejected} mazes already present in --exclude-from files\n`);
+    }
   } catch (err) {
     console.error('\n[ERROR]', err.message);
     process.exitCode = 2;
   } finally {
-    if (opts.output) outStream.end();
+    if (writer) await writer.close();
+    if (sourcesWriter) await sourcesWriter.close();
   }
 })();
\ No newline at end of file
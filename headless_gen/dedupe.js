@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/*
+ * headless_gen/dedupe.js
+ *
+ * Duplicate and train/test leakage report for maze datasets.  Every line is
+ * identified by the hash of its maze (grid + start + goal, see `maze-hash.js`),
+ * so two examples count as duplicates even if their traces differ.
+ *
+ * Example:
+ *   node headless_gen/dedupe.js train.jsonl test.jsonl
+ *   node headless_gen/dedupe.js train.jsonl test.jsonl --json --fail-on-leakage
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { readJsonl } from './jsonl.js';
+import { mazeKeyFromText } from './maze-hash.js';
+
+// File membership is tracked as a bitmask per maze.
+const MAX_FILES = 30;
+
+// ---------------- Parse args with yargs --------------
+function parseArgs() {
+  return yargs(hideBin(process.argv))
+    .usage('Usage: $0 <files..> [options]\n\nReport duplicate mazes within and across JSONL datasets.')
+    .command('$0 <files..>', false)
+    .positional('files', {
+      describe: 'JSONL dataset files (e.g. train and test splits)',
+      type: 'string'
+    })
+    .option('json', {
+      describe: 'Print the report as JSON',
+      default: false,
+      type: 'boolean'
+    })
+    .option('show', {
+      describe: 'Number of example duplicate pairs to list',
+      default: 10,
+      type: 'number'
+    })
+    .option('fail-on-leakage', {
+      describe: 'Exit with status 1 if any maze appears in more than one file',
+      default: false,
+      type: 'boolean'
+    })
+    .example('$0 train.jsonl test.jsonl', 'Check that no test maze appears in train')
+    .help('help')
+    .alias('help', 'h')
+    .strict()
+    .parse();
+}
+
+/**
+ * Scan the given files and collect duplicate statistics.
+ *
+ * @param {string[]} files
+ * @param {{ show?: number }} [options]
+ * @returns {Promise<Object>} report: per-file counts, shared mazes per file pair, example pairs
+ */
+async function findDuplicates(files, { show = 10 } = {}) {
+  if (files.length > MAX_FILES) {
+    throw new Error(`At most ${MAX_FILES} files can be compared at once`);
+  }
+  // key -> { mask, file, line } (first occurrence)
+  const seen = new Map();
+  const fileStats = files.map(path => ({ path, lines: 0, unique: 0, duplicates: 0 }));
+  // Example pairs, kept separately so within-file repeats don't crowd out leaks
+  const examples = { within: [], cross: [] };
+
+  for (let f = 0; f < files.length; f++) {
+    const bit = 1 << f;
+    for await (const { lineNo, obj } of readJsonl(files[f])) {
+      let key;
+      try {
+        key = mazeKeyFromText(obj.text);
+      } catch (err) {
+        throw new Error(`${files[f]}:${lineNo}: ${err.message}`);
+      }
+      fileStats[f].lines++;
+      const entry = seen.get(key);
+      if (!entry) {
+        seen.set(key, { mask: bit, file: f, line: lineNo });
+        fileStats[f].unique++;
+        continue;
+      }
+      const kind = entry.mask & bit ? 'within' : 'cross';
+      if (kind === 'within') {
+        fileStats[f].duplicates++;
+      } else {
+        entry.mask |= bit;
+        fileStats[f].unique++;
+      }
+      if (examples[kind].length < show) {
+        examples[kind].push({
+          key,
+          first: { file: files[entry.file], line: entry.line },
+          duplicate: { file: files[f], line: lineNo }
+        });
+      }
+    }
+  }
+
+  // Distinct mazes shared by each pair of files
+  const shared = new Map();
+  for (const { mask } of seen.values()) {
+    if ((mask & (mask - 1)) === 0) continue; // only one file
+    for (let a = 0; a < files.length; a++) {
+      if (!(mask & (1 << a))) continue;
+      for (let b = a + 1; b < files.length; b++) {
+        if (!(mask & (1 << b))) continue;
+        const pair = `${a},${b}`;
+        shared.set(pair, (shared.get(pair) || 0) + 1);
+      }
+    }
+  }
+  const crossSplit = [];
+  for (let a = 0; a < files.length; a++) {
+    for (let b = a + 1; b < files.length; b++) {
+      crossSplit.push({ a: files[a], b: files[b], sharedMazes: shared.get(`${a},${b}`) || 0 });
+    }
+  }
+
+  return {
+    files: fileStats,
+    uniqueMazes: seen.size,
+    crossSplit,
+    leakage: crossSplit.some(p => p.sharedMazes > 0),
+    examples
+  };
+}
+
+function printReport(report) {
+  const out = process.stdout;
+  out.write('Within-file duplicates:\n');
+  for (const f of report.files) {
+    out.write(`  ${f.path}: ${f.lines} lines, ${f.unique} unique mazes, ${f.duplicates} duplicates\n`);
+  }
+  if (report.crossSplit.length > 0) {
+    out.write('Cross-file shared mazes:\n');
+    for (const p of report.crossSplit) {
+      out.write(`  ${p.a} <-> ${p.b}: ${p.sharedMazes}\n`);
+    }
+  }
+  for (const kind of ['cross', 'within']) {
+    if (report.examples[kind].length === 0) continue;
+    out.write(kind === 'cross' ? 'Examples (across files):\n' : 'Examples (within a file):\n');
+    for (const ex of report.examples[kind]) {
+      out.write(`  ${ex.duplicate.file}:${ex.duplicate.line} duplicates ${ex.first.file}:${ex.first.line}\n`);
+    }
+  }
+  out.write(report.leakage ? '✗ Leakage detected across files\n' : '✓ No maze appears in more than one file\n');
+}
+
+// -------------------------------------------------------------------------
+
+(async () => {
+  const argv = parseArgs();
+  try {
+    const report = await findDuplicates(argv.files, { show: argv.show });
+    if (argv.json) {
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+      printReport(report);
+    }
+    if (argv.failOnLeakage && report.leakage) process.exitCode = 1;
+  } catch (err) {
+    console.error('\n[ERROR]', err.message);
+    process.exitCode = 2;
+  }
+})();
@@ -0,0 +1,39 @@
+/*
+ * headless_gen/direction.js
+ *
+ * Solving direction, the headless counterpart of the browser's "Direction"
+ * select (`getDirectionalPositions` in `script.js`).  A backward solve runs
+ * the solver from the goal to the start; the prompt still reads
+ * `query start … goal …` and, as in the browser, the plan is reversed so it
+ * always leads from start to goal.
+ */
+
+export const DIRECTIONS = ['forward', 'backward', 'both'];
+
+/**
+ * Directions to solve each maze in, in output order.
+ * @param {string} [direction]  one of DIRECTIONS (default 'forward')
+ * @returns {string[]} 'forward' and/or 'backward'
+ */
+export function solveDirections(direction = 'forward') {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown direction "${direction}" (expected one of: ${DIRECTIONS.join(', ')})`);
+  }
+  return direction === 'both' ? ['forward', 'backward'] : [direction];
+}
+
+/**
+ * Run `solver.solveSync` from start to goal ('forward') or goal to start
+ * ('backward').
+ * @param {Object} solver  entry of the `solvers` registry
+ * @param {Object} ctx     solveSync ctx, oriented start -> goal
+ * @param {string} direction 'forward' | 'backward'
+ * @returns {{ reasoning: Array, plan: Array }} plan from start to goal
+ */
+export function solveInDirection(solver, ctx, direction) {
+  if (direction === 'forward') return solver.solveSync(ctx);
+  const { startX, startY, goalX, goalY } = ctx;
+  const solution = solver.solveSync({ ...ctx, startX: goalX, startY: goalY, goalX: startX, goalY: startY });
+  if (!solution || !solution.plan) return solution;
+  return { ...solution, plan: solution.plan.slice().reverse() };
+}
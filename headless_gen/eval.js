@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/*
+ * headless_gen/eval.js
+ *
+ * Scores model predictions against a gold dataset.  Line `i` of the
+ * predictions file is the model's completion for the prompt of line `i` of
+ * the gold file, i.e. the tokens after `reasoning`
+ * (`close … solution plan … end`).  For every example it checks
+ *   • plan validity – contiguous, no walls, starts at S, ends at G
+ *   • plan optimality – valid and as short as `astar.solveSync`'s plan
+ *   • trace validity – a legitimate A* execution (see `solvers/astar-trace.js`)
+ * and reports these rates plus trace/plan length stats overall, per generator
+ * (the gold line's `component`, or `--generator`) and per optimal path length
+ * bucket.  Traces are replayed with the heuristic and in the direction
+ * recorded in the gold line (Manhattan and forward when there are none).
+ * Examples are parsed with the grid size recorded in the gold line (recipe
+ * datasets), or with `--rows`/`--cols`.  Only A* datasets can be scored: gold
+ * lines whose `solver` field names another solver are rejected.
+ *
+ * Example:
+ *   node headless_gen/eval.js test.jsonl predictions.jsonl --generator wilson
+ *   node headless_gen/eval.js test.jsonl predictions.jsonl --json > report.json
+ */
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { readJsonl } from './jsonl.js';
+import { parseText } from './parser.js';
+import { astar } from '../solvers/astar.js';
+import { validateAStarTrace, TIE_BREAK_LEVELS } from '../solvers/astar-trace.js';
+import { makeHeuristic } from '../heuristics.js';
+
+// Optimal plans are always measured with the admissible Manhattan heuristic
+const manhattan = makeHeuristic('manhattan');
+
+/**
+ * Reject gold lines whose trace did not come from A*; lines without a
+ * `solver` field are A* traces (see `solverMetadata`).
+ * @param {Object} gold  gold JSONL object
+ */
+function checkGoldSolver({ solver = 'astar' }) {
+  if (solver !== 'astar') {
+    throw new Error(`gold trace comes from the ${solver} solver; only A* traces can be scored`);
+  }
+}
+
+/**
+ * Heuristic a gold line's trace was generated with, from its `heuristic`
+ * field (see `solverMetadata`).  Noisy heuristics are seeded per example and
+ * cannot be rebuilt here.
+ * @param {Object} gold  gold JSONL object
+ * @returns {Function}
+ */
+function goldHeuristic({ heuristic = 'manhattan', weight }) {
+  if (heuristic === 'noisy') {
+    throw new Error('traces generated with --heuristic noisy cannot be validated');
+  }
+  return makeHeuristic(heuristic, { weight });
+}
+
+// ---------------- Parse args with yargs --------------
+function parseArgs() {
+  return yargs(hideBin(process.argv))
+    .usage('Usage: $0 <gold> <predictions> [options]\n\nEvaluate model predictions against a gold maze dataset.')
+    .command('$0 <gold> <predictions>', false)
+    .positional('gold', {
+      describe: 'Gold JSONL dataset',
+      type: 'string'
+    })
+    .positional('predictions', {
+      describe: 'JSONL file with one completion (tokens after "reasoning") per gold line',
+      type: 'string'
+    })
+    .option('field', {
+      describe: 'Field of a prediction line holding the completion',
+      default: 'text',
+      type: 'string'
+    })
+    .option('rows', {
+      alias: 'r',
+      describe: 'Grid rows of gold lines without a "rows" field',
+      default: 30,
+      type: 'number'
+    })
+    .option('cols', {
+      alias: 'c',
+      describe: 'Grid columns of gold lines without a "cols" field',
+      default: 30,
+      type: 'number'
+    })
+    .option('generator', {
+      alias: 'g',
+      describe: 'Generator label for gold lines without a "component" field',
+      default: 'unknown',
+      type: 'string'
+    })
+    .option('bucket-size', {
+      describe: 'Width of the optimal path length buckets',
+      default: 10,
+      type: 'number'
+    })
+    .option('tie-break', {
+      describe: 'Tie-breaking strictness for trace validity',
+      choices: TIE_BREAK_LEVELS,
+      default: 'any',
+      type: 'string'
+    })
+    .option('json', {
+      describe: 'Print the report as JSON',
+      default: false,
+      type: 'boolean'
+    })
+    .example('$0 test.jsonl preds.jsonl --generator wilson', 'Score predictions for a Wilson test split')
+    .help('help')
+    .alias('help', 'h')
+    .strict()
+    .parse();
+}
+
+/**
+ * Whether `plan` walks from start to goal through adjacent open cells.
+ * @param {import('./serializer.js').MazeSpec} spec
+ * @param {Array<[number, number]>} plan
+ * @returns {boolean}
+ */
+function isValidPlan({ grid, startX, startY, goalX, goalY }, plan) {
+  if (plan.length === 0) return false;
+  const [fx, fy] = plan[0];
+  const [lx, ly] = plan[plan.length - 1];
+  if (fx !== startX || fy !== startY || lx !== goalX || ly !== goalY) return false;
+  for (let i = 0; i < plan.length; i++) {
+    const [x, y] = plan[i];
+    if (y < 0 || y >= grid.length || x < 0 || x >= grid[0].length || grid[y][x] === 0) return false;
+    if (i > 0 && Math.abs(x - plan[i - 1][0]) + Math.abs(y - plan[i - 1][1]) !== 1) return false;
+  }
+  return true;
+}
+
+/**
+ * Score one prediction.
+ * @param {string} goldText
+ * @param {string} completion
+ * @param {{ rows: number, cols: number, tieBreak: string, heuristic: Function, direction?: string }} options
+ *   `direction: 'backward'` replays the trace from the goal (see `direction.js`)
+ * @returns {Object} per-example result
+ */
+function scoreExample(goldText, completion, { rows, cols, tieBreak, heuristic, direction = 'forward' }) {
+  const gold = parseText(goldText, { rows, cols });
+  const optimal = astar.solveSync({ rows, cols, heuristic: manhattan, ...gold.spec }).plan;
+  const { startX, startY, goalX, goalY } = gold.spec;
+  const ctx = direction === 'backward'
+    ? { rows, cols, heuristic, ...gold.spec, startX: goalX, startY: goalY, goalX: startX, goalY: startY }
+    : { rows, cols, heuristic, ...gold.spec };
+  const result = {
+    parsed: false,
+    planValid: false,
+    planOptimal: false,
+    traceValid: false,
+    error: null,
+    optimalLength: optimal.length,
+    goldTraceLength: gold.reasoning.length,
+    traceLength: null,
+    planLength: null
+  };
+
+  // Completions may or may not repeat the prompt and the `reasoning` token
+  const prompt = goldText.slice(0, goldText.indexOf(' reasoning'));
+  let text = completion.trim();
+  if (!text.startsWith('query ')) {
+    text = text.startsWith('reasoning') ? `${prompt} ${text}` : `${prompt} reasoning ${text}`;
+  }
+  let pred;
+  try {
+    pred = parseText(text, { rows, cols });
+  } catch (err) {
+    result.error = err.message;
+    return result;
+  }
+  result.parsed = true;
+  result.traceLength = pred.reasoning.length;
+  result.planLength = pred.plan.length;
+  result.planValid = isValidPlan(gold.spec, pred.plan);
+  result.planOptimal = result.planValid && pred.plan.length === optimal.length;
+  const check = validateAStarTrace(ctx, pred.reasoning, { tieBreak });
+  result.traceValid = check.valid;
+  const errors = [];
+  if (!result.planValid) errors.push('invalid plan');
+  if (!check.valid) errors.push(`trace event ${check.index}: ${check.reason}`);
+  result.error = errors.join('; ') || null;
+  return result;
+}
+
+function newGroup() {
+  return { count: 0, parsed: 0, planValid: 0, planOptimal: 0, traceValid: 0,
+           traceLength: [], planLength: [], goldTraceLength: [], optimalLength: [] };
+}
+
+function addToGroup(group, r) {
+  group.count++;
+  for (const key of ['parsed', 'planValid', 'planOptimal', 'traceValid']) {
+    if (r[key]) group[key]++;
+  }
+  for (const key of ['traceLength', 'planLength', 'goldTraceLength', 'optimalLength']) {
+    if (r[key] !== null) group[key].push(r[key]);
+  }
+}
+
+function lengthStats(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return {
+    mean: sorted.reduce((s, v) => s + v, 0) / sorted.length,
+    median: sorted[Math.floor(sorted.length / 2)],
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function summarize(group) {
+  const rate = n => (group.count ? n / group.count : 0);
+  return {
+    count: group.count,
+    parseRate: rate(group.parsed),
+    planValidRate: rate(group.planValid),
+    planOptimalRate: rate(group.planOptimal),
+    traceValidRate: rate(group.traceValid),
+    traceLength: lengthStats(group.traceLength),
+    planLength: lengthStats(group.planLength),
+    goldTraceLength: lengthStats(group.goldTraceLength),
+    optimalLength: lengthStats(group.optimalLength)
+  };
+}
+
+/**
+ * Evaluate a predictions file against its gold dataset.
+ * @param {string} goldPath
+ * @param {string} predPath
+ * @param {Object} options  { field, rows, cols, generator, bucketSize, tieBreak }
+ * @returns {Promise<Object>} report
+ */
+async function evaluate(goldPath, predPath, options) {
+  const { field, generator, bucketSize } = options;
+  const overall = newGroup();
+  const byGenerator = new Map();
+  const byPathLength = new Map();
+  const failures = [];
+
+  const goldLines = readJsonl(goldPath);
+  const predLines = readJsonl(predPath);
+  for (;;) {
+    const [g, p] = await Promise.all([goldLines.next(), predLines.next()]);
+    if (g.done || p.done) {
+      if (!g.done || !p.done) {
+        throw new Error(`${goldPath} and ${predPath} have different numbers of lines`);
+      }
+      break;
+    }
+    const { lineNo, obj: gold } = g.value;
+    const completion = p.value.obj[field];
+    if (typeof completion !== 'string') {
+      throw new Error(`${predPath}:${p.value.lineNo}: missing string field "${field}"`);
+    }
+    let result;
+    try {
+      checkGoldSolver(gold);
+      result = scoreExample(gold.text, completion, {
+        ...options,
+        rows: gold.rows || options.rows,
+        cols: gold.cols || options.cols,
+        heuristic: goldHeuristic(gold),
+        direction: gold.direction
+      });
+    } catch (err) {
+      throw new Error(`${goldPath}:${lineNo}: ${err.message}`);
+    }
+
+    const name = gold.component || generator;
+    const low = Math.floor(result.optimalLength / bucketSize) * bucketSize;
+    const bucket = `${low}-${low + bucketSize - 1}`;
+    if (!byGenerator.has(name)) byGenerator.set(name, newGroup());
+    if (!byPathLength.has(low)) byPathLength.set(low, { bucket, group: newGroup() });
+    addToGroup(overall, result);
+    addToGroup(byGenerator.get(name), result);
+    addToGroup(byPathLength.get(low).group, result);
+    if (result.error && failures.length < 10) {
+      failures.push({ line: lineNo, error: result.error });
+    }
+  }
+
+  return {
+    gold: goldPath,
+    predictions: predPath,
+    tieBreak: options.tieBreak,
+    overall: summarize(overall),
+    byGenerator: Object.fromEntries([...byGenerator].map(([name, group]) => [name, summarize(group)])),
+    byPathLength: Object.fromEntries([...byPathLength]
+      .sort((a, b) => a[0] - b[0])
+      .map(([, { bucket, group }]) => [bucket, summarize(group)])),
+    failures
+  };
+}
+
+function printReport(report) {
+  const out = process.stdout;
+  const pct = x => `${(100 * x).toFixed(1)}%`.padStart(7);
+  const mean = s => (s ? s.mean.toFixed(1) : '-').padStart(8);
+  const header = `  ${'group'.padEnd(16)} ${'n'.padStart(6)} ${'parsed'.padStart(7)} ${'valid'.padStart(7)} ` +
+                 `${'optimal'.padStart(7)} ${'trace'.padStart(7)} ${'trace#'.padStart(8)} ${'gold#'.padStart(8)} ${'plan#'.padStart(8)}\n`;
+  const row = (label, s) => {
+    out.write(`  ${label.padEnd(16)} ${String(s.count).padStart(6)} ${pct(s.parseRate)} ${pct(s.planValidRate)} ` +
+              `${pct(s.planOptimalRate)} ${pct(s.traceValidRate)} ${mean(s.traceLength)} ${mean(s.goldTraceLength)} ${mean(s.planLength)}\n`);
+  };
+
+  out.write(`Gold: ${report.gold}\nPredictions: ${report.predictions}\n\n`);
+  out.write(header);
+  row('overall', report.overall);
+  out.write('\nBy generator:\n' + header);
+  for (const [name, s] of Object.entries(report.byGenerator)) row(name, s);
+  out.write('\nBy optimal path length:\n' + header);
+  for (const [bucket, s] of Object.entries(report.byPathLength)) row(bucket, s);
+  out.write('\n(valid = plan validity, optimal = plan optimality, trace = trace validity; # columns are mean lengths)\n');
+  if (report.failures.length > 0) {
+    out.write('\nFirst failures:\n');
+    for (const f of report.failures) out.write(`  line ${f.line}: ${f.error}\n`);
+  }
+}
+
+// -------------------------------------------------------------------------
+
+(async () => {
+  const argv = parseArgs();
+  if (!(argv.bucketSize >= 1)) {
+    console.error('\n[ERROR] --bucket-size must be at least 1');
+    process.exit(1);
+  }
+  try {
+    const report = await evaluate(argv.gold, argv.predictions, {
+      field: argv.field,
+      rows: argv.rows,
+      cols: argv.cols,
+      generator: argv.generator,
+      bucketSize: Math.floor(argv.bucketSize),
+      tieBreak: argv.tieBreak
+    });
+    if (argv.json) {
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+      printReport(report);
+    }
+  } catch (err) {
+    console.error('\n[ERROR]', err.message);
+    process.exitCode = 2;
+  }
+})();
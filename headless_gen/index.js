@@ -12,15 +12,13 @@
  * in Node, a worker thread, or a Lambda.
  */
 
-import { seedLCG } from './rng.js';
+import { seedLCG, splitSeed, deriveIndexSeed, deriveSolverSeed, deriveTransformSeed } from './rng.js';
 import { generators } from '../generators.js';
 import { solvers } from '../solvers.js';
-import { serializeExample } from './serializer.js';
-
-// Manhattan distance heuristic – must match `script.js` implementation.
-function heuristic(x1, y1, x2, y2) {
-  return Math.abs(x1 - x2) + Math.abs(y1 - y2);
-}
+import { serializeExample, solverMetadata } from './serializer.js';
+import { makeHeuristic } from '../heuristics.js';
+import { solveDirections, solveInDirection } from './direction.js';
+import { parseTransforms, applyTransforms } from './transforms.js';
 
 /**
  * Options for dataset generation (mirrors front-end UI).
@@ -32,10 +30,17 @@ function heuristic(x1, y1, x2, y2) {
  * @property {number} count           Number of lines/examples to generate
  * @property {string} generatorId     Key in `generators` registry (e.g. "searchformer")
  * @property {string} solverId        Key in `solvers` registry (e.g. "astar")
+ * @property {string} [seeding]       "sequential" (default, paper-compatible) | "per-index"
+ * @property {Object} [generatorParams] Extra generator parameters (e.g. { coverage: 0.7 })
+ * @property {Object} [solverParams]  Extra solver parameters (e.g. { maxSteps: 5000 } or { heuristic: 'weighted', heuristicWeight: 1.5 })
+ * @property {string} [direction]     "forward" | "backward" | "both" (see `direction.js`); when set, lines record it
+ * @property {string[]} [traceTransforms] Trace ablations such as ['truncate:25', 'shuffle'] (see `transforms.js`); when set, lines record them
  */
 
 /**
  * Async generator that yields JSONL lines one by one, identical to the browser.
+ * Each yielded string is one maze: a single line, or a forward and a backward
+ * line with `direction: 'both'`.
  *
  * Usage:
  *   for await (const line of generateDataset(opts)) { process.stdout.write(line); }
@@ -44,16 +49,59 @@ function heuristic(x1, y1, x2, y2) {
  * @returns {AsyncGenerator<string>}
  */
 export async function* generateDataset(opts) {
+  const {
+    mode = 'train',
+    seed = 42,
+    count = 1,
+    seeding = 'sequential',
+  } = opts;
+
+  validateOptions(opts);
+
+  // Reproduce the PRNG seeding scheme used in the browser implementation.
+  const prng = seeding === 'per-index' ? null : seedLCG(splitSeed(seed, mode));
+
+  for (let idx = 0; idx < count; idx++) {
+    yield buildExample(opts, prng || seedLCG(deriveIndexSeed(seed, mode, idx)), idx);
+  }
+}
+
+/**
+ * Generate the single example at `index` without producing the ones before it.
+ * Random access is O(1) in "per-index" seeding mode; in "sequential" mode the
+ * shared PRNG stream has to be replayed (mazes only, no solving) up to `index`.
+ *
+ * @param {GenerateOptions} opts
+ * @param {number} index
+ * @returns {string} JSONL line (two with `direction: 'both'`)
+ */
+export function generateExample(opts, index) {
   const {
     rows = 30,
     cols = 30,
     mode = 'train',
     seed = 42,
-    count = 1,
+    seeding = 'sequential',
     generatorId,
-    solverId,
+    generatorParams = {},
   } = opts;
 
+  validateOptions(opts);
+
+  if (seeding === 'per-index') {
+    return buildExample(opts, seedLCG(deriveIndexSeed(seed, mode, index)), index);
+  }
+  const prng = seedLCG(splitSeed(seed, mode));
+  for (let idx = 0; idx < index; idx++) {
+    generators[generatorId].generateSync({ rows, cols, prng, ...generatorParams });
+  }
+  return buildExample(opts, prng, index);
+}
+
+function validateOptions({ generatorId, solverId, seeding = 'sequential' }) {
+  if (seeding !== 'sequential' && seeding !== 'per-index') {
+    throw new Error(`Unknown seeding mode: ${seeding}`);
+  }
   if (!generators[generatorId]) {
     throw new Error(`Unknown generatorId: ${generatorId}`);
   }
@@ -66,18 +114,24 @@ export async function* generateDataset(opts) {
   if (typeof solvers[solverId].solveSync !== 'function') {
     throw new Error(`Solver ${solverId} lacks solveSync – cannot be used for dataset generation`);
   }
+}
 
-  // Reproduce the PRNG seeding scheme used in the browser implementation.
-  const modeBit = mode === 'test' ? 1 : 0;
-  const prngSeed = (seed * 2 + modeBit) >>> 0; // >>>0 to keep unsigned 32-bit.
-  const prng = seedLCG(prngSeed);
+// Generate, solve and serialise example `index`, drawing maze randomness from `prng`.
+// With direction 'both' the result holds the forward and the backward line.
+function buildExample(opts, prng, index) {
+  const { rows = 30, cols = 30, mode = 'train', seed = 42,
+          generatorId, solverId, generatorParams = {}, solverParams = {}, direction, traceTransforms = [] } = opts;
 
-  for (let idx = 0; idx < count; idx++) {
-    // 1. Generate maze spec.
-    const spec = generators[generatorId].generateSync({ rows, cols, prng });
+  // 1. Generate maze spec.
+  const spec = generators[generatorId].generateSync({ rows, cols, prng, ...generatorParams });
 
-    // 2. Solve maze.
-    const { reasoning, plan } = solvers[solverId].solveSync({
+  // 2. Solve maze (heuristic settings build ctx.heuristic, see solver-worker.js).
+  const { heuristic: heuristicId, heuristicWeight, heuristicNoise, ...params } = solverParams;
+  const transformSteps = parseTransforms(traceTransforms);
+  let lines = '';
+  for (const solveDirection of solveDirections(direction)) {
+    const solverPrng = seedLCG(deriveSolverSeed(seed, mode, index));
+    const solution = solveInDirection(solvers[solverId], {
       rows,
       cols,
       grid: spec.grid,
@@ -85,15 +139,26 @@ export async function* generateDataset(opts) {
       startY: spec.startY,
       goalX: spec.goalX,
       goalY: spec.goalY,
-      heuristic,
-    });
+      heuristic: makeHeuristic(heuristicId, { weight: heuristicWeight, noise: heuristicNoise, prng: solverPrng }),
+      prng: solverPrng,
+      ...params,
+    }, solveDirection);
 
-    // 3. Serialize to JSONL.
-    const line = serializeExample(spec, reasoning, plan);
+    // 3. Degrade the trace for ablations (see solver-worker.js).
+    if (transformSteps.length > 0) {
+      const transformPrng = seedLCG(deriveTransformSeed(seed, mode, index));
+      solution.reasoning = applyTransforms(solution.reasoning, transformSteps, { prng: transformPrng, rows, cols });
+    }
 
-    // 4. Yield.
-    yield line;
+    // 4. Serialize to JSONL.
+    const metadata = {
+      ...solverMetadata(solverId, solverParams),
+      ...(direction ? { direction: solveDirection } : {}),
+      ...(transformSteps.length > 0 ? { transforms: traceTransforms } : {})
+    };
+    lines += serializeExample({ spec, solution, generatorId, solverId, metadata });
   }
+  return lines;
 }
 
 /**
@@ -0,0 +1,169 @@
+/*
+ * headless_gen/jsonl.js
+ *
+ * Reading and writing dataset files, shared by the CLI and the tools that
+ * consume JSONL datasets (dedupe, exclusion filters, …).
+ *
+ * Gzip is handled transparently: readers detect it from the file's magic
+ * bytes, and `DatasetWriter` can compress on the fly.  Compressed output is
+ * written as a sequence of gzip members (one per `sync()`), which standard
+ * tools (`gunzip`, `zcat`, Node's zlib) read as a single stream.  This lets a
+ * checkpoint point at a member boundary, so resumed files stay valid.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import readline from 'readline';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/**
+ * Whether a path should be written gzip-compressed when no explicit choice
+ * was made.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isGzipPath(path) {
+  return path.endsWith('.gz');
+}
+
+// Sniff the first two bytes rather than trusting the extension.
+function isGzipFile(path) {
+  const fd = fs.openSync(path, 'r');
+  try {
+    const head = Buffer.alloc(2);
+    const n = fs.readSync(fd, head, 0, 2, 0);
+    return n === 2 && head[0] === GZIP_MAGIC[0] && head[1] === GZIP_MAGIC[1];
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Async generator over the records of a JSONL file (plain or gzip).  Blank
+ * lines are skipped; malformed JSON is reported with its file and line number.
+ *
+ * @param {string} path
+ * @returns {AsyncGenerator<{ lineNo: number, obj: Object }>}
+ */
+export async function* readJsonl(path) {
+  let input = fs.createReadStream(path);
+  if (isGzipFile(path)) {
+    input = input.pipe(zlib.createGunzip());
+  }
+  const rl = readline.createInterface({
+    input,
+    crlfDelay: Infinity
+  });
+  let lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    if (line.trim() === '') continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${path}:${lineNo}: invalid JSON (${err.message})`);
+    }
+    yield { lineNo, obj };
+  }
+}
+
+/**
+ * Output sink for dataset lines, optionally gzip-compressed, with backpressure
+ * handling.  `bytes` (and `sha256()` when enabled) refer to the bytes that end
+ * up in the file, i.e. compressed bytes when compressing.
+ */
+export class DatasetWriter {
+  /**
+   * @param {object} params { path, compress, append, sha256 }
+   *   path     – output file; omit to write to stdout
+   *   compress – gzip the output
+   *   append   – append to an existing file instead of truncating it
+   *   sha256   – keep a running SHA-256 of the written file bytes
+   */
+  constructor({ path = null, compress = false, append = false, sha256 = false } = {}) {
+    this.path = path;
+    this.compress = compress;
+    this.file = path ? fs.createWriteStream(path, { flags: append ? 'a' : 'w' }) : process.stdout;
+    this.bytes = 0;
+    this.hash = sha256 ? crypto.createHash('sha256') : null;
+    this.gzip = null;
+    if (compress) this._startMember();
+  }
+
+  /**
+   * Append data, waiting for the sink to drain if it is saturated.
+   * @param {string} data
+   */
+  async write(data) {
+    if (this.compress) {
+      if (!this.gzip.write(data)) {
+        await new Promise(res => this.gzip.once('drain', res));
+      }
+      return;
+    }
+    this._count(data);
+    if (!this.file.write(data)) {
+      // Backpressure handling – wait for drain
+      await new Promise(res => this.file.once('drain', res));
+    }
+  }
+
+  /**
+   * Wait until everything written so far has reached the file, and return the
+   * file length at that point.  When compressing, this closes the current gzip
+   * member and starts a new one.
+   * @returns {Promise<number>}
+   */
+  async sync() {
+    if (this.compress) {
+      await this._endMember();
+      this._startMember();
+    }
+    await new Promise((res, rej) => this.file.write(Buffer.alloc(0), err => err ? rej(err) : res()));
+    return this.bytes;
+  }
+
+  /**
+   * Flush and close the output (stdout is flushed but left open).
+   */
+  async close() {
+    if (this.compress) await this._endMember();
+    if (!this.path) return;
+    await new Promise((res, rej) => {
+      this.file.once('error', rej);
+      this.file.end(res);
+    });
+  }
+
+  /**
+   * @returns {string} hex SHA-256 of the file bytes (requires `sha256: true`)
+   */
+  sha256() {
+    return this.hash.digest('hex');
+  }
+
+  _count(chunk) {
+    this.bytes += Buffer.byteLength(chunk);
+    if (this.hash) this.hash.update(chunk);
+  }
+
+  _startMember() {
+    this.gzip = zlib.createGzip();
+    this.gzip.on('data', chunk => this._count(chunk));
+    this.gzip.pipe(this.file, { end: false });
+  }
+
+  async _endMember() {
+    const gzip = this.gzip;
+    await new Promise((res, rej) => {
+      gzip.once('error', rej);
+      gzip.once('end', res);
+      gzip.end();
+    });
+    gzip.unpipe(this.file);
+    this.gzip = null;
+  }
+}
@@ -0,0 +1,109 @@
+/*
+ * headless_gen/maze-hash.js
+ *
+ * Content hashes identifying a maze (grid + start + goal), independent of the
+ * reasoning trace and plan attached to it.  The hash is taken over the prompt
+ * tokens (`query start … goal … wall …`), so a spec and its serialised line
+ * always hash identically.
+ */
+
+import crypto from 'crypto';
+import { promptTokens } from './serializer.js';
+import { readJsonl } from './jsonl.js';
+
+// 128 bits is plenty to rule out accidental collisions and halves memory use.
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 32);
+}
+
+/**
+ * @param {import('./serializer.js').MazeSpec} spec
+ * @returns {string} hex maze key
+ */
+export function mazeKey(spec) {
+  return hashPrompt(promptTokens(spec).join(' '));
+}
+
+/**
+ * @param {string} text  the `text` field of a dataset line
+ * @returns {string} hex maze key
+ */
+export function mazeKeyFromText(text) {
+  const end = typeof text === 'string' ? text.indexOf(' reasoning') : -1;
+  if (end === -1 || !text.startsWith('query ')) {
+    throw new Error('Not a maze example: expected "query … reasoning …"');
+  }
+  return hashPrompt(text.slice(0, end));
+}
+
+// A maze key as four 32-bit words, most significant first, at words[at..at+3]
+function keyWords(key, words, at) {
+  for (let w = 0; w < 4; w++) {
+    words[at + w] = parseInt(key.slice(8 * w, 8 * w + 8), 16);
+  }
+}
+
+// Compare the keys at words a[i..i+3] and b[j..j+3]
+function compareKeys(a, i, b, j) {
+  for (let w = 0; w < 4; w++) {
+    if (a[i + w] !== b[j + w]) return a[i + w] < b[j + w] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Collect the maze keys of every example in the given JSONL files into a
+ * sorted table of 128-bit digests (four 32-bit words each).  The table lives
+ * in a SharedArrayBuffer, so worker threads receive it without copying; look
+ * keys up with `hasMazeKey`.
+ * @param {string[]} paths
+ * @returns {Promise<Uint32Array>}
+ */
+export async function loadMazeKeyTable(paths) {
+  let words = new Uint32Array(4 * 1024);
+  let n = 0;
+  for (const path of paths) {
+    for await (const { lineNo, obj } of readJsonl(path)) {
+      let key;
+      try {
+        key = mazeKeyFromText(obj.text);
+      } catch (err) {
+        throw new Error(`${path}:${lineNo}: ${err.message}`);
+      }
+      if (4 * n === words.length) {
+        const grown = new Uint32Array(2 * words.length);
+        grown.set(words);
+        words = grown;
+      }
+      keyWords(key, words, 4 * n++);
+    }
+  }
+  const order = new Uint32Array(n);
+  for (let i = 0; i < n; i++) order[i] = i;
+  order.sort((a, b) => compareKeys(words, 4 * a, words, 4 * b));
+  const table = new Uint32Array(new SharedArrayBuffer(16 * n));
+  for (let i = 0; i < n; i++) {
+    table.set(words.subarray(4 * order[i], 4 * order[i] + 4), 4 * i);
+  }
+  return table;
+}
+
+/**
+ * Binary search a table built by `loadMazeKeyTable`.
+ * @param {Uint32Array} table
+ * @param {string} key  hex maze key
+ * @returns {boolean}
+ */
+export function hasMazeKey(table, key) {
+  const words = new Uint32Array(4);
+  keyWords(key, words, 0);
+  let lo = 0, hi = table.length / 4;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const cmp = compareKeys(table, 4 * mid, words, 0);
+    if (cmp === 0) return true;
+    if (cmp < 0) lo = mid + 1;
+    else hi = mid;
+  }
+  return false;
+}
@@ -0,0 +1,206 @@
+/*
+ * headless_gen/parser.js
+ *
+ * Inverse of `serializeExample`: turns a dataset line back into the maze spec,
+ * the reasoning trace and the plan.  The token grammar is
+ *
+ *   query start X Y goal X Y (wall X Y)* reasoning EVENT* solution (plan X Y)* end
+ *   EVENT := KEYWORD TAG? (X | COST)*     e.g. `close 3 4 c2 c5`, `create bwd 7 1 c3`
+ *
+ * where X/Y are non-negative integers, COST is `c` followed by a number,
+ * KEYWORD is one of `EVENT_KEYWORDS` and TAG one of `EVENT_TAGS`.
+ * Walls must be listed in row-major order without repeats, exactly as
+ * `promptTokens` writes them, so that `serializeExample(parseExample(line))`
+ * reproduces `line` byte for byte.
+ */
+
+const INT_RE = /^(0|[1-9]\d*)$/;
+const COST_RE = /^c-?(0|[1-9]\d*)(\.\d+)?(e[+-]\d+)?$/;
+
+/**
+ * Reasoning event keywords emitted by the headless solvers.
+ */
+export const EVENT_KEYWORDS = new Set([
+  'create', 'close',            // astar, bfs, greedy, dijkstra, bibfs, biastar, jps
+  'push', 'pop', 'backtrack',   // dfs
+  'step', 'giveup',             // random
+  'meet',                       // bibfs, biastar
+  'bound', 'expand'             // idastar (which also emits giveup)
+]);
+
+/**
+ * Frontier tags that may follow an event keyword (bidirectional solvers).
+ */
+export const EVENT_TAGS = new Set(['fwd', 'bwd']);
+
+/**
+ * Grammar error, positioned at a token of the example's `text`.
+ */
+export class ParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} tokenIndex  zero-based index of the offending token
+   * @param {number} offset      character offset of that token in `text`
+   */
+  constructor(message, tokenIndex, offset) {
+    super(`token ${tokenIndex} (char ${offset}): ${message}`);
+    this.name = 'ParseError';
+    this.tokenIndex = tokenIndex;
+    this.offset = offset;
+  }
+}
+
+// Split on single spaces, remembering where each token starts.
+function tokenize(text) {
+  const tokens = text.split(' ');
+  const offsets = new Array(tokens.length);
+  let pos = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    offsets[i] = pos;
+    if (tokens[i] === '') {
+      throw new ParseError('empty token (leading, trailing or repeated space)', i, pos);
+    }
+    pos += tokens[i].length + 1;
+  }
+  return { tokens, offsets };
+}
+
+/**
+ * Parse one dataset line.
+ *
+ * @param {string} line  JSONL line (`{"text": …, …}`), with or without trailing newline
+ * @param {{ rows?: number, cols?: number }} [size]  see `parseText`
+ * @returns {{ spec: import('./serializer.js').MazeSpec,
+ *             reasoning: Array<Array<string|number>>,
+ *             plan: Array<[number, number]>,
+ *             metadata: Object }}  `metadata` holds the fields next to `text`
+ */
+export function parseExample(line, size) {
+  let obj;
+  try {
+    obj = JSON.parse(line);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (!obj || typeof obj.text !== 'string') {
+    throw new Error('Expected an object with a "text" field');
+  }
+  const { text, ...metadata } = obj;
+  return { ...parseText(text, size), metadata };
+}
+
+/**
+ * Parse the token text of one example.
+ *
+ * Without explicit `rows`/`cols` the grid size is inferred from the largest
+ * coordinate that appears anywhere in the example; this under-estimates the
+ * size of mazes whose last rows/columns contain no walls and are never
+ * visited, so pass the size when it is known.
+ *
+ * @param {string} text
+ * @param {{ rows?: number, cols?: number }} [size]
+ * @returns {{ spec: import('./serializer.js').MazeSpec,
+ *             reasoning: Array<Array<string|number>>,
+ *             plan: Array<[number, number]> }}
+ */
+export function parseText(text, { rows, cols } = {}) {
+  const { tokens, offsets } = tokenize(text);
+  let i = 0;
+
+  const fail = (message, at = i) => {
+    throw new ParseError(message, at, at < tokens.length ? offsets[at] : text.length);
+  };
+  const expect = word => {
+    if (tokens[i] !== word) fail(`expected "${word}", got ${describe(tokens[i])}`);
+    i++;
+  };
+  const int = () => {
+    if (i >= tokens.length || !INT_RE.test(tokens[i])) fail(`expected a coordinate, got ${describe(tokens[i])}`);
+    return Number(tokens[i++]);
+  };
+  // Coordinates are kept with their token index so bounds errors can point at them.
+  const coord = () => {
+    const at = i;
+    return { x: int(), y: int(), at };
+  };
+
+  expect('query');
+  expect('start');
+  const start = coord();
+  expect('goal');
+  const goal = coord();
+
+  const walls = [];
+  while (tokens[i] === 'wall') {
+    i++;
+    walls.push(coord());
+  }
+  expect('reasoning');
+
+  const reasoning = [];
+  // Largest coordinates seen in the trace, for grid size inference
+  let maxX = 0;
+  let maxY = 0;
+  while (i < tokens.length && tokens[i] !== 'solution') {
+    if (!EVENT_KEYWORDS.has(tokens[i])) fail(`expected an event or "solution", got ${describe(tokens[i])}`);
+    const event = [tokens[i++]];
+    if (EVENT_TAGS.has(tokens[i])) event.push(tokens[i++]);
+    let coords = 0;
+    while (i < tokens.length && (INT_RE.test(tokens[i]) || COST_RE.test(tokens[i]))) {
+      if (INT_RE.test(tokens[i])) {
+        const value = Number(tokens[i]);
+        if (coords++ % 2 === 0) maxX = Math.max(maxX, value);
+        else maxY = Math.max(maxY, value);
+        event.push(value);
+      } else {
+        event.push(tokens[i]);
+      }
+      i++;
+    }
+    reasoning.push(event);
+  }
+  expect('solution');
+
+  const planCoords = [];
+  while (tokens[i] === 'plan') {
+    i++;
+    planCoords.push(coord());
+  }
+  expect('end');
+  if (i < tokens.length) fail(`unexpected ${describe(tokens[i])} after "end"`);
+
+  // Grid size: given, or the smallest one that holds every coordinate
+  const points = [start, goal, ...walls, ...planCoords];
+  for (const p of points) {
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  if (rows === undefined) rows = maxY + 1;
+  if (cols === undefined) cols = maxX + 1;
+  for (const p of points) {
+    if (p.x >= cols || p.y >= rows) fail(`(${p.x}, ${p.y}) is outside the ${cols}x${rows} grid`, p.at);
+  }
+
+  const grid = Array.from({ length: rows }, () => new Array(cols).fill(1));
+  let prev = -1;
+  for (const w of walls) {
+    const pos = w.y * cols + w.x;
+    if (pos <= prev) {
+      fail(pos === prev ? `duplicate wall (${w.x}, ${w.y})` : `wall (${w.x}, ${w.y}) is not in row-major order`, w.at);
+    }
+    prev = pos;
+    grid[w.y][w.x] = 0;
+  }
+  if (grid[start.y][start.x] === 0) fail('start is on a wall', start.at);
+  if (grid[goal.y][goal.x] === 0) fail('goal is on a wall', goal.at);
+
+  return {
+    spec: { grid, startX: start.x, startY: start.y, goalX: goal.x, goalY: goal.y },
+    reasoning,
+    plan: planCoords.map(p => [p.x, p.y])
+  };
+}
+
+function describe(token) {
+  return token === undefined ? 'end of text' : `"${token}"`;
+}
@@ -2,7 +2,8 @@
  * headless_gen/producer-consumer.js
  *
  * Producer-consumer pattern for parallel dataset generation.
- * - Single producer generates mazes sequentially (preserving PRNG order)
+ * - Single producer generates mazes sequentially (preserving PRNG order),
+ *   or several producers in "per-index" seeding mode
  * - Multiple consumers solve mazes in parallel
  * - Results are written in generation order
  */
@@ -11,6 +12,7 @@ import { Worker } from 'worker_threads';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import os from 'os';
+import { loadMazeKeyTable } from './maze-hash.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -18,10 +20,33 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 /**
  * Parallel dataset generation with dedicated producer worker.
  * Maze generation happens in a separate thread to prevent blocking.
+ *
+ * Each yielded batch carries `nextIndex` (index of the first example after the
+ * batch) and `prngState` (producer PRNG state at that index).  Passing both
+ * back in as `opts.startIndex` / `opts.prngState` resumes the run exactly.
+ *
+ * With `opts.seeding === 'per-index'` each example is generated from its own
+ * PRNG (see `deriveIndexSeed`), which lets `config.producers` workers generate
+ * in parallel.  The default "sequential" mode is the paper-compatible stream
+ * and always uses a single producer.
+ *
+ * `opts.excludeFrom` lists JSONL files whose mazes are rejected (and redrawn)
+ * during generation, e.g. to keep a test split disjoint from train.  Their
+ * keys are read once, here, and shared with every producer.
+ *
+ * `opts.components` / `opts.schedule` (see `recipe.js`) generate a mixture
+ * dataset: example `i` uses the generator, solver and grid size of component
+ * `schedule[i]`.
+ *
+ * `opts.direction` (see `direction.js`) solves backward, or in both
+ * directions; with 'both' each entry of `lines` holds two JSONL lines.
+ *
+ * `opts.traceTransforms` (see `transforms.js`) degrades every trace before
+ * it is serialized.
  * 
  * @param {Object} opts - Generation options
  * @param {Object} config - Configuration options
- * @returns {AsyncGenerator<string>}
+ * @returns {AsyncGenerator<{type: 'batch', lines: string[], nextIndex: number, prngState: number}>}
  */
 export async function* generateDatasetParallel(opts, config = {}) {
   const {
@@ -32,6 +57,15 @@ export async function* generateDatasetParallel(opts, config = {}) {
     count = 1,
     generatorId,
     solverId,
+    startIndex = 0,
+    prngState = null,
+    seeding = 'sequential',
+    excludeFrom = [],
+    components = null,
+    schedule = null,
+    solverParams = {},
+    direction,
+    traceTransforms = [],
   } = opts;
 
   const {
@@ -43,28 +77,56 @@ export async function* generateDatasetParallel(opts, config = {}) {
     // The largest batch size the dynamic system can increase to.
     // Reduced from 5000 to 2000 to prevent heap memory errors in workers.
     maxBatchSize = 2000,
+    // Number of producer workers (per-index seeding only).
+    producers = 1,
     onProgress = null
   } = config;
 
-  // Validate solver (generator validation happens in worker)
+  if (seeding !== 'sequential' && seeding !== 'per-index') {
+    throw new Error(`Unknown seeding mode: ${seeding}`);
+  }
+  if (seeding === 'sequential' && producers > 1) {
+    throw new Error('Multiple producers require per-index seeding');
+  }
+
+  // Validate solvers (generator validation happens in worker)
   const { solvers } = await import('../solvers.js');
-  if (!solvers[solverId]) {
-    throw new Error(`Unknown solverId: ${solverId}`);
+  for (const { solverId: id } of components || [{ solverId }]) {
+    if (!solvers[id]) {
+      throw new Error(`Unknown solverId: ${id}`);
+    }
   }
 
   // Determine optimal worker count for solvers, leaving cores for producer and main thread
   const cpuCount = os.cpus().length;
+  const remaining = count - startIndex;
   let numWorkers = requestedWorkers || Math.max(1, cpuCount - 2);
-  numWorkers = Math.min(numWorkers, count);
-  if (count < 100) {
+  numWorkers = Math.min(numWorkers, remaining);
+  if (remaining < 100) {
     numWorkers = Math.min(2, numWorkers);
   }
 
+  // Producers each own every N-th batch, so there is no point in more producers than batches.
+  const numProducers = Math.max(1, Math.min(producers, Math.ceil(remaining / batchSize)));
+
   // Track the current batch size, which can be changed dynamically.
+  // With several producers the batch layout is fixed up front, so it stays constant.
   let currentBatchSize = batchSize;
+  const dynamicBatching = numProducers === 1;
+
+  // Read the --exclude-from files once; the producers share the key table
+  const excludedKeys = excludeFrom.length > 0 ? await loadMazeKeyTable(excludeFrom) : null;
 
-  // Create producer worker
-  const producerWorker = new Worker(join(__dirname, 'producer-worker.js'));
+  // Create producer workers
+  const producerWorkers = [];
+  const producerGenerated = [];
+  const producerRejected = [];
+  let producersComplete = 0;
+  for (let i = 0; i < numProducers; i++) {
+    producerWorkers.push(new Worker(join(__dirname, 'producer-worker.js')));
+    producerGenerated.push(0);
+    producerRejected.push(0);
+  }
   
   // Create solver worker pool
   const solverWorkers = [];
@@ -80,17 +142,19 @@ export async function* generateDatasetParallel(opts, config = {}) {
   // Batch tracking
   const generatedBatchQueue = [];
   const batchPromises = new Map();
-  let nextYieldIdx = 0;
+  // PRNG state after each produced batch, keyed by batchStart
+  const batchPrngStates = new Map();
+  let nextYieldIdx = startIndex;
   let generationComplete = false;
   let generationError = null;
   let stats = {
-    generated: 0,
-    solved: 0,
-    saved: 0
+    generated: startIndex,
+    solved: startIndex,
+    saved: startIndex
   };
 
   // Pre-create promise placeholders for all batches
-  for (let batchStart = 0; batchStart < count; batchStart += batchSize) {
+  for (let batchStart = startIndex; batchStart < count; batchStart += batchSize) {
     let resolveFunc;
     const promise = new Promise(resolve => { resolveFunc = resolve; });
     batchPromises.set(batchStart, { promise, resolve: resolveFunc });
@@ -100,16 +164,20 @@ export async function* generateDatasetParallel(opts, config = {}) {
   let notifyNewBatch = null;
 
   try {
-    // Set up producer worker listener
-    producerWorker.on('message', (msg) => {
+    // Set up producer worker listeners
+    producerWorkers.forEach((producerWorker, producerIndex) => producerWorker.on('message', (msg) => {
       switch (msg.type) {
         case 'batch':
           // Add batch to queue
           generatedBatchQueue.push({
             batchStart: msg.batchStart,
-            batch: msg.batch
+            batch: msg.batch,
+            producerWorker
           });
-          stats.generated = msg.generated;
+          batchPrngStates.set(msg.batchStart, msg.prngState);
+          producerGenerated[producerIndex] = msg.generated;
+          producerRejected[producerIndex] = msg.rejected;
+          stats.generated = startIndex + producerGenerated.reduce((a, b) => a + b, 0);
           
           // Notify dispatcher if waiting
           if (notifyNewBatch) {
@@ -123,14 +191,16 @@ export async function* generateDatasetParallel(opts, config = {}) {
           break;
           
         case 'progress':
-          stats.generated = msg.generated;
+          producerGenerated[producerIndex] = msg.generated;
+          stats.generated = startIndex + producerGenerated.reduce((a, b) => a + b, 0);
           if (onProgress) {
             onProgress('generated', stats.generated);
           }
           break;
           
         case 'complete':
-          generationComplete = true;
+          producersComplete++;
+          generationComplete = producersComplete === numProducers;
           if (notifyNewBatch) {
             notifyNewBatch();
             notifyNewBatch = null;
@@ -146,10 +216,10 @@ export async function* generateDatasetParallel(opts, config = {}) {
           }
           break;
       }
-    });
+    }));
 
-    // Start producer with initial configuration and credits
-    producerWorker.postMessage({
+    // Start producers with initial configuration and credits (the buffer is shared between them)
+    producerWorkers.forEach((producerWorker, producerIndex) => producerWorker.postMessage({
       type: 'init',
       config: { 
         rows, 
@@ -159,10 +229,18 @@ export async function* generateDatasetParallel(opts, config = {}) {
         count, 
         generatorId, 
         batchSize: currentBatchSize,
-        generatorParams: opts.generatorParams || {}
+        generatorParams: opts.generatorParams || {},
+        startIndex,
+        prngState,
+        seeding,
+        producerIndex,
+        producerCount: numProducers,
+        excludedKeys,
+        components,
+        schedule
       },
-      initialCredits: producerBuffer
-    });
+      initialCredits: Math.max(2, Math.ceil(producerBuffer / numProducers))
+    }));
 
     // Dispatcher function - coordinates between producer and solvers
     const dispatcher = async () => {
@@ -185,11 +263,11 @@ export async function* generateDatasetParallel(opts, config = {}) {
         // Try to dispatch work
         if (generatedBatchQueue.length > 0 && availableWorkers.length > 0) {
           dispatchedBatchCount++; // Increment for each batch dispatched
-          const { batchStart, batch } = generatedBatchQueue.shift();
+          const { batchStart, batch, producerWorker } = generatedBatchQueue.shift();
           const worker = availableWorkers.shift();
           
           // --- Backpressure ---
-          // A slot in the queue was freed, so grant a new credit to the producer.
+          // A slot in the queue was freed, so grant a new credit to the producer that filled it.
           producerWorker.postMessage({ type: 'credit', count: 1 });
 
           // --- Dynamic Batching ---
@@ -199,7 +277,7 @@ export async function* generateDatasetParallel(opts, config = {}) {
 
           // If solvers are waiting and our queue is empty, generation is the bottleneck.
           // Increase the batch size to reduce message overhead and improve throughput.
-          if (isWarmedUp && generatedBatchQueue.length === 0 && availableWorkers.length > 0 && currentBatchSize < maxBatchSize) {
+          if (dynamicBatching && isWarmedUp && generatedBatchQueue.length === 0 && availableWorkers.length > 0 && currentBatchSize < maxBatchSize) {
             currentBatchSize = Math.min(currentBatchSize * 2, maxBatchSize);
             producerWorker.postMessage({ type: 'update_batch_size', newBatchSize: currentBatchSize });
             if (onProgress) {
@@ -248,7 +326,13 @@ export async function* generateDatasetParallel(opts, config = {}) {
               batch,
               solverId,
               rows,
-              cols
+              cols,
+              seed,
+              mode,
+              solverParams,
+              direction,
+              traceTransforms,
+              components
             }, transferList);
           });
           
@@ -288,18 +372,24 @@ export async function* generateDatasetParallel(opts, config = {}) {
           }
         }
       }
+      // A producer error also ends the loop, with batches still missing
+      if (generationError) {
+        throw generationError;
+      }
     };
 
     // Start dispatcher
     const dispatcherPromise = dispatcher();
+    // Settles only if the dispatcher fails; the batches it left missing never arrive
+    const dispatcherFailed = dispatcherPromise.then(() => new Promise(() => {}));
 
     // Consumer - yield results in order
     while (nextYieldIdx < count) {
-      const batchStart = Math.floor(nextYieldIdx / batchSize) * batchSize;
+      const batchStart = startIndex + Math.floor((nextYieldIdx - startIndex) / batchSize) * batchSize;
       
-      // Wait for the batch
+      // Wait for the batch (or for the dispatcher to fail)
       const batchPromise = batchPromises.get(batchStart);
-      const lines = await batchPromise.promise;
+      const lines = await Promise.race([batchPromise.promise, dispatcherFailed]);
       
       // Check for errors before yielding
       if (generationError) {
@@ -310,7 +400,14 @@ export async function* generateDatasetParallel(opts, config = {}) {
       const endIdx = Math.min(batchStart + lines.length, count);
       const linesToYield = lines.slice(0, endIdx - batchStart);
       
-      yield { type: 'batch', lines: linesToYield };
+      yield {
+        type: 'batch',
+        lines: linesToYield,
+        nextIndex: endIdx,
+        prngState: batchPrngStates.get(batchStart),
+        // Mazes rejected by --exclude-from so far (this run)
+        rejected: producerRejected.reduce((a, b) => a + b, 0)
+      };
       
       stats.saved += linesToYield.length;
       nextYieldIdx = endIdx;
@@ -322,6 +419,7 @@ export async function* generateDatasetParallel(opts, config = {}) {
       // Free memory
       if (nextYieldIdx >= batchStart + lines.length) {
         batchPromises.delete(batchStart);
+        batchPrngStates.delete(batchStart);
       }
     }
 
@@ -335,7 +433,9 @@ export async function* generateDatasetParallel(opts, config = {}) {
 
   } finally {
     // Clean up all workers
-    producerWorker.terminate();
+    for (const producerWorker of producerWorkers) {
+      producerWorker.terminate();
+    }
     for (const worker of solverWorkers) {
       worker.terminate();
     }
@@ -346,14 +446,14 @@ export async function* generateDatasetParallel(opts, config = {}) {
  * Convenience wrapper with built-in progress bar
  */
 export async function* generateDatasetWithProgress(opts, config = {}) {
-  const { count = 1 } = opts;
+  const { count = 1, startIndex = 0 } = opts;
   const startTime = Date.now();
   
   // Track all three phases
   let stats = {
-    generated: 0,
-    solved: 0,
-    saved: 0,
+    generated: startIndex,
+    solved: startIndex,
+    saved: startIndex,
     // Track dynamic config changes
     batchSize: config.batchSize || 500,
     // Track system state
@@ -364,7 +464,7 @@ export async function* generateDatasetWithProgress(opts, config = {}) {
   // Multi-bar progress display
   const updateProgress = () => {
     const elapsed = (Date.now() - startTime) / 1000;
-    const rate = stats.saved / elapsed || 0;
+    const rate = (stats.saved - startIndex) / elapsed || 0;
     const eta = (count - stats.saved) / rate || 0;
     
     // Generate three bars
@@ -4,12 +4,20 @@
  * Worker thread that handles maze generation with backpressure and dynamic batching.
  * It generates mazes only when it has "credits" and sends them in batches.
  * Credits are granted by the main thread, effectively pausing this worker if consumers are slow.
+ *
+ * In "sequential" seeding mode (default) a single worker consumes one stateful PRNG in
+ * index order.  In "per-index" mode every example has its own PRNG, so several workers
+ * can run side by side: worker k of N produces every N-th batch.
  */
 
 import { parentPort } from 'worker_threads';
-import { seedLCG } from './rng.js';
+import { seedLCG, splitSeed, deriveIndexSeed } from './rng.js';
 import { generators } from '../generators.js';
 import { encodeMazeSpec } from './maze-codec.js';
+import { mazeKey, hasMazeKey } from './maze-hash.js';
+
+// Give up on an example after this many consecutive excluded mazes.
+const MAX_EXCLUDED_RETRIES = 1000;
 
 let config;
 let credits = 0;
@@ -59,25 +67,45 @@ async function generate() {
       count,
       generatorId,
       generatorParams = {},
+      // Resume support: first index to generate and the PRNG state at that index.
+      startIndex = 0,
+      prngState = null,
+      // "sequential" | "per-index", and this worker's slot among all producers
+      seeding = 'sequential',
+      producerIndex = 0,
+      producerCount = 1,
+      // Sorted keys of the mazes that must not be generated again (e.g. the train
+      // split), loaded once by the main thread and shared between the producers
+      excludedKeys = null,
+      // Mixture recipes: per-component generator settings and the component of every example
+      components = null,
+      schedule = null,
     } = config;
 
-    // Validate generator
-    if (!generators[generatorId]) {
-      throw new Error(`Unknown generatorId: ${generatorId}`);
-    }
-    if (typeof generators[generatorId].generateSync !== 'function') {
-      throw new Error(`Generator ${generatorId} lacks generateSync`);
+    // Without a recipe, every example comes from the single configured generator
+    const sources = components || [{ generatorId, generatorParams, rows, cols }];
+
+    // Validate generators
+    for (const { generatorId } of sources) {
+      if (!generators[generatorId]) {
+        throw new Error(`Unknown generatorId: ${generatorId}`);
+      }
+      if (typeof generators[generatorId].generateSync !== 'function') {
+        throw new Error(`Generator ${generatorId} lacks generateSync`);
+      }
     }
 
-    // Initialize PRNG with same logic as main implementation
-    const modeBit = mode === 'test' ? 1 : 0;
-    const prngSeed = (seed * 2 + modeBit) >>> 0;
-    const prng = seedLCG(prngSeed);
+    // Initialize PRNG with same logic as main implementation.
+    // When resuming, the checkpointed state continues the original stream.
+    const perIndex = seeding === 'per-index';
+    const prng = perIndex ? null : seedLCG(prngState !== null ? prngState : splitSeed(seed, mode));
 
     let generatedCount = 0;
+    let rejectedCount = 0;
+    let nextStart = startIndex + producerIndex * config.batchSize;
 
     // Generate mazes until the total count is reached
-    while (generatedCount < count) {
+    while (nextStart < count) {
       // --- Backpressure Check ---
       // Wait here until we have at least one credit.
       while (credits <= 0) {
@@ -88,27 +116,42 @@ async function generate() {
       credits--; // Spend one credit to generate a batch
 
       const currentBatchSize = config.batchSize; // Use the potentially updated batch size
-      const batchStart = generatedCount;
+      const batchStart = nextStart;
       const batchEnd = Math.min(batchStart + currentBatchSize, count);
       const batch = [];
 
       try {
         // Generate all mazes in this batch
         for (let idx = batchStart; idx < batchEnd; idx++) {
-          // Use the single, stateful PRNG instance for all maze generation.
+          // Sequential: use the single, stateful PRNG instance for all maze generation.
           // This exactly replicates the behavior of the original sequential pipeline,
           // ensuring the generated data is byte-for-byte identical.
-          const spec = generators[generatorId].generateSync({ 
-            rows, 
-            cols, 
-            prng,
-            ...generatorParams  // Spread any additional params
+          const examplePrng = perIndex ? seedLCG(deriveIndexSeed(seed, mode, idx)) : prng;
+          const component = schedule ? schedule[idx] : 0;
+          const source = sources[component];
+          const generateSpec = () => generators[source.generatorId].generateSync({ 
+            rows: source.rows, 
+            cols: source.cols, 
+            prng: examplePrng,
+            ...source.generatorParams  // Spread any additional params
           });
+          let spec = generateSpec();
+          // Reject excluded mazes by drawing again from the same PRNG, which keeps the run deterministic
+          let retries = 0;
+          while (excludedKeys && hasMazeKey(excludedKeys, mazeKey(spec))) {
+            if (++retries > MAX_EXCLUDED_RETRIES) {
+              throw new Error(`Gave up after ${MAX_EXCLUDED_RETRIES} mazes in a row collided with --exclude-from`);
+            }
+            rejectedCount++;
+            spec = generateSpec();
+          }
           const encodedSpec = encodeMazeSpec(spec);
-          batch.push({ idx, spec: encodedSpec });
+          batch.push({ idx, spec: encodedSpec, component });
         }
         
         generatedCount += batch.length;
+        // Skip the batches owned by the other producers (batch size is fixed when producerCount > 1)
+        nextStart = batchEnd + (producerCount - 1) * currentBatchSize;
 
         // Send progress updates frequently
         parentPort.postMessage({ 
@@ -122,7 +165,10 @@ async function generate() {
           type: 'batch',
           batchStart,
           batch,
-          generated: generatedCount
+          generated: generatedCount,
+          rejected: rejectedCount,
+          // PRNG state after the last maze of this batch (for checkpoints)
+          prngState: perIndex ? null : prng.getState()
         }, transferList);
 
       } catch (err) {
@@ -0,0 +1,158 @@
+/*
+ * headless_gen/recipe.js
+ *
+ * Recipe files describe mixture datasets: several components, each with its
+ * own generator, generator params, solver and grid size, mixed by weight or
+ * by explicit count.  Example (`mix.json`):
+ *
+ *   {
+ *     "components": [
+ *       { "generator": "wilson", "weight": 60 },
+ *       { "generator": "kruskal", "weight": 20 },
+ *       { "name": "ca_040", "generator": "cellular_automata",
+ *         "params": { "fillProbability": 0.4 }, "weight": 20 }
+ *     ]
+ *   }
+ *
+ * Components are interleaved by a schedule that is shuffled with its own PRNG
+ * stream, so a (recipe, seed, mode, count) tuple always yields the same dataset.
+ */
+
+import fs from 'fs';
+import { generators } from '../generators.js';
+import { solvers } from '../solvers.js';
+import { seedLCG, deriveIndexSeed } from './rng.js';
+
+// The schedule is shuffled with the per-index stream of an index no example will ever use.
+const SCHEDULE_STREAM = 0xffffffff;
+// Schedules store component indices as bytes.
+const MAX_COMPONENTS = 255;
+
+/**
+ * @typedef {Object} RecipeComponent
+ * @property {string} name             Label recorded with every example of this component
+ * @property {string} generatorId
+ * @property {Object} generatorParams
+ * @property {string} solverId
+ * @property {number} rows
+ * @property {number} cols
+ * @property {number} count            Number of examples of this component
+ */
+
+/**
+ * Load and resolve a recipe file.  Components without `solver`, `rows` or
+ * `cols` inherit them from `defaults`.  Either every component has a `count`
+ * (the total is their sum) or every component has a `weight` (the
+ * `defaults.count` examples are split proportionally).  `countsGiven` tells
+ * which of the two the recipe uses.
+ *
+ * @param {string} path
+ * @param {{ solverId?: string, rows: number, cols: number, count: number }} defaults
+ * @returns {{ components: RecipeComponent[], count: number, countsGiven: boolean }}
+ */
+export function loadRecipe(path, defaults) {
+  let recipe;
+  try {
+    recipe = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read recipe ${path}: ${err.message}`);
+  }
+  const raw = recipe && recipe.components;
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error(`Recipe ${path} must contain a non-empty "components" array`);
+  }
+  if (raw.length > MAX_COMPONENTS) {
+    throw new Error(`Recipe ${path} has ${raw.length} components (max ${MAX_COMPONENTS})`);
+  }
+
+  const byCount = raw.every(c => c.count !== undefined);
+  const byWeight = raw.every(c => c.weight !== undefined && c.count === undefined);
+  if (!byCount && !byWeight) {
+    throw new Error(`Recipe ${path}: give either a "count" for every component or a "weight" for every component`);
+  }
+
+  const names = new Set();
+  const components = raw.map((c, i) => {
+    const where = `Recipe ${path}, component ${i}`;
+    const generatorId = c.generator;
+    const solverId = c.solver || defaults.solverId;
+    if (!generators[generatorId] || typeof generators[generatorId].generateSync !== 'function') {
+      throw new Error(`${where}: unknown or headless-incapable generator "${generatorId}"`);
+    }
+    if (!solverId || !solvers[solverId] || typeof solvers[solverId].solveSync !== 'function') {
+      throw new Error(`${where}: unknown or headless-incapable solver "${solverId}"`);
+    }
+    const name = c.name || generatorId;
+    if (names.has(name)) {
+      throw new Error(`${where}: duplicate component name "${name}" (set "name" to tell them apart)`);
+    }
+    names.add(name);
+    const amount = byCount ? c.count : c.weight;
+    if (typeof amount !== 'number' || !(amount >= 0)) {
+      throw new Error(`${where}: ${byCount ? 'count' : 'weight'} must be a non-negative number`);
+    }
+    return {
+      name,
+      generatorId,
+      generatorParams: c.params || {},
+      solverId,
+      rows: c.rows || defaults.rows,
+      cols: c.cols || defaults.cols,
+      count: byCount ? Math.floor(amount) : amount
+    };
+  });
+
+  if (byWeight) {
+    allocateByWeight(components, defaults.count);
+  }
+  const count = components.reduce((n, c) => n + c.count, 0);
+  if (count === 0) {
+    throw new Error(`Recipe ${path} produces no examples`);
+  }
+  return { components, count, countsGiven: byCount };
+}
+
+// Largest-remainder apportionment of `total` examples; ties go to the earlier component.
+function allocateByWeight(components, total) {
+  const totalWeight = components.reduce((n, c) => n + c.count, 0);
+  if (!(totalWeight > 0)) {
+    throw new Error('Recipe weights must not all be zero');
+  }
+  const exact = components.map(c => c.count / totalWeight * total);
+  components.forEach((c, i) => { c.count = Math.floor(exact[i]); });
+  let left = total - components.reduce((n, c) => n + c.count, 0);
+  const order = components
+    .map((c, i) => i)
+    .sort((a, b) => (exact[b] - Math.floor(exact[b])) - (exact[a] - Math.floor(exact[a])) || a - b);
+  for (let k = 0; left > 0; k++, left--) {
+    components[order[k]].count++;
+  }
+}
+
+/**
+ * Deterministic interleaving of the components: entry `i` is the index of the
+ * component that example `i` belongs to.
+ *
+ * @param {RecipeComponent[]} components
+ * @param {number} seed
+ * @param {string} mode
+ * @returns {Uint8Array}
+ */
+export function buildSchedule(components, seed, mode) {
+  const total = components.reduce((n, c) => n + c.count, 0);
+  const schedule = new Uint8Array(total);
+  let pos = 0;
+  components.forEach((c, i) => {
+    schedule.fill(i, pos, pos + c.count);
+    pos += c.count;
+  });
+  // Fisher-Yates shuffle on a dedicated stream, independent of maze generation
+  const prng = seedLCG(deriveIndexSeed(seed, mode, SCHEDULE_STREAM));
+  for (let i = total - 1; i > 0; i--) {
+    const j = Math.floor(prng() * (i + 1));
+    const tmp = schedule[i];
+    schedule[i] = schedule[j];
+    schedule[j] = tmp;
+  }
+  return schedule;
+}
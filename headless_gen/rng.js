@@ -10,6 +10,10 @@
  *
  * Constants are taken from "Numerical Recipes" and match the ones hard-coded
  * in the existing front-end codebase.
+ *
+ * The returned function also exposes `getState()`.  Because the seed *is* the
+ * state, `seedLCG(prng.getState())` continues the exact same stream, which is
+ * what checkpoint/resume relies on.
  */
 
 export function seedLCG(seed) {
@@ -18,9 +22,86 @@ export function seedLCG(seed) {
 
   // Return a closure that advances the internal state on each call and returns
   // a JS number in the interval [0, 1).
-  return function () {
+  const prng = function () {
     // 32-bit LCG parameters (a = 1664525, c = 1013904223, m = 2^32).
     state = (1664525 * state + 1013904223) >>> 0;
     return state / 0x100000000; // Divide by 2^32 to get a float in [0,1).
   };
-}
\ No newline at end of file
+  // Snapshot of the internal state (unsigned 32-bit) for checkpointing.
+  prng.getState = () => state;
+  return prng;
+}
+
+/**
+ * PRNG seed for a dataset split, as used by the browser and the sequential
+ * ("paper-compatible") pipeline: train and test differ only in the low bit.
+ *
+ * @param {number} seed  base seed
+ * @param {string} mode  "train" | "test"
+ * @returns {number} unsigned 32-bit seed
+ */
+export function splitSeed(seed, mode) {
+  const modeBit = mode === 'test' ? 1 : 0;
+  return (seed * 2 + modeBit) >>> 0;
+}
+
+// murmur3 32-bit finalizer: cheap avalanche mixing of a 32-bit value.
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Seed of the private PRNG used for example `index` in "per-index" seeding
+ * mode.  Every example gets an independent stream derived from
+ * (seed, mode, index), so examples can be generated in any order, by any
+ * number of workers.  Note this is NOT compatible with the sequential stream.
+ *
+ * @param {number} seed   base seed
+ * @param {string} mode   "train" | "test"
+ * @param {number} index  example index
+ * @returns {number} unsigned 32-bit seed for `seedLCG`
+ */
+export function deriveIndexSeed(seed, mode, index) {
+  // Weyl-sequence step (golden ratio), as in splitmix, then mix.
+  return mix32((mix32(splitSeed(seed, mode)) + Math.imul(index >>> 0, 0x9e3779b9)) >>> 0);
+}
+
+// Offset separating solver streams from maze streams.
+const SOLVER_STREAM = 0x632be5ab;
+
+/**
+ * Seed of the private PRNG handed to randomized solvers for example `index`.
+ * It is derived from (seed, mode, index) in both seeding modes, so solver
+ * randomness never perturbs the maze stream and does not depend on which
+ * worker solves the example.
+ *
+ * @param {number} seed   base seed
+ * @param {string} mode   "train" | "test"
+ * @param {number} index  example index
+ * @returns {number} unsigned 32-bit seed for `seedLCG`
+ */
+export function deriveSolverSeed(seed, mode, index) {
+  return mix32((deriveIndexSeed(seed, mode, index) + SOLVER_STREAM) >>> 0);
+}
+
+// Offset separating trace transform streams from maze and solver streams.
+const TRANSFORM_STREAM = 0x3c6ef372;
+
+/**
+ * Seed of the private PRNG handed to the trace transforms (see
+ * `transforms.js`) for example `index`, independent of the solver stream so
+ * that transforming a trace never changes the trace itself.
+ *
+ * @param {number} seed   base seed
+ * @param {string} mode   "train" | "test"
+ * @param {number} index  example index
+ * @returns {number} unsigned 32-bit seed for `seedLCG`
+ */
+export function deriveTransformSeed(seed, mode, index) {
+  return mix32((deriveIndexSeed(seed, mode, index) + TRANSFORM_STREAM) >>> 0);
+}
@@ -7,6 +7,9 @@
  * datasets generated here and in the browser.
  */
 
+import { HEURISTIC_DEFAULTS } from '../heuristics.js';
+import { heuristicSolvers } from '../solvers.js';
+
 /**
  * @typedef {Object} MazeSpec
  * @property {number[][]} grid   Grid of 0 (wall) / 1 (passage)
@@ -17,20 +20,16 @@
  */
 
 /**
- * Serialise one example to a JSON Lines string terminating with a `\n`.
+ * Prompt tokens of an example: `query start x y goal x y` followed by one
+ * `wall x y` triple per wall cell in row-major order.  This fully determines
+ * the maze (grid + start + goal) for a given grid size.
  *
- * @param {MazeSpec} spec  – maze geometry
- * @param {Array<Array>} reasoning – flattened or nested arrays describing the solver trace
- * @param {Array<[number,number]>} plan – list of (x,y) path coordinates in order
- * @returns {string} Exact JSONL line as produced by the original browser code
+ * @param {MazeSpec} spec
+ * @returns {Array<string|number>}
  */
-export function serializeExample({ spec, solution, generatorId, solverId }) {
-  const { grid, startX, startY, goalX, goalY } = spec;
-  const { reasoning, plan } = solution;
+export function promptTokens({ grid, startX, startY, goalX, goalY }) {
   const rows = grid.length;
   const cols = grid[0].length;
-
-  // --- Build token array in the precise order expected by the consumer ---
   const tokens = ['query', 'start', startX, startY, 'goal', goalX, goalY];
 
   // Walls: iterate row-major, identical to the UI implementation.
@@ -39,6 +38,44 @@ export function serializeExample({ spec, solution, generatorId, solverId }) {
       if (grid[y][x] === 0) tokens.push('wall', x, y);
     }
   }
+  return tokens;
+}
+
+/**
+ * Solver settings recorded next to `text` because they change the trace
+ * without being visible in it: the solver unless it is A* (the paper's
+ * traces), the A* tie-break policy and the heuristic.
+ *
+ * @param {string} solverId
+ * @param {Object} [solverParams]
+ * @returns {Object} metadata fields (empty for default settings)
+ */
+export function solverMetadata(solverId, solverParams = {}) {
+  const metadata = {};
+  if (solverId !== 'astar') metadata.solver = solverId;
+  if (solverId === 'astar' && solverParams.astarTiebreak) metadata.tiebreak = solverParams.astarTiebreak;
+  if (heuristicSolvers.includes(solverId) && solverParams.heuristic) {
+    metadata.heuristic = solverParams.heuristic;
+    if (solverParams.heuristic === 'weighted') metadata.weight = solverParams.heuristicWeight ?? HEURISTIC_DEFAULTS.weight;
+    if (solverParams.heuristic === 'noisy') metadata.noise = solverParams.heuristicNoise ?? HEURISTIC_DEFAULTS.noise;
+  }
+  return metadata;
+}
+
+/**
+ * Serialise one example to a JSON Lines string terminating with a `\n`.
+ *
+ * @param {MazeSpec} spec  – maze geometry
+ * @param {Array<Array>} reasoning – flattened or nested arrays describing the solver trace
+ * @param {Array<[number,number]>} plan – list of (x,y) path coordinates in order
+ * @param {Object} [metadata] – extra fields stored next to `text` (e.g. recipe component)
+ * @returns {string} Exact JSONL line as produced by the original browser code
+ */
+export function serializeExample({ spec, solution, generatorId, solverId, metadata }) {
+  const { reasoning, plan } = solution;
+
+  // --- Build token array in the precise order expected by the consumer ---
+  const tokens = promptTokens(spec);
 
   // Reasoning events (already flattened inside browser code via spread).
   tokens.push('reasoning');
@@ -51,6 +88,6 @@ export function serializeExample({ spec, solution, generatorId, solverId }) {
   tokens.push('end');
 
   // Join with single spaces and wrap in JSON as {"text": "…"}\n
-  const lineObj = { text: tokens.join(' ') };
+  const lineObj = { text: tokens.join(' '), ...metadata };
   return JSON.stringify(lineObj) + '\n';
 }
\ No newline at end of file
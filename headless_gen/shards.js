@@ -0,0 +1,138 @@
+/*
+ * headless_gen/shards.js
+ *
+ * Sharded JSONL output.  Ordered batches from the producer/consumer pipeline
+ * are split into fixed-size shard files (e.g. `train-00000-of-00042.jsonl`),
+ * and a `manifest.json` describing every shard is written at the end.
+ * Shards can be gzip-compressed; sizes and digests then refer to the
+ * compressed files as stored on disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DatasetWriter } from './jsonl.js';
+
+export const DEFAULT_SHARD_PATTERN = '{split}-{index}-of-{total}.jsonl';
+export const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * Expand a shard filename pattern.  Supported placeholders:
+ *   {split} – dataset split ("train" | "test")
+ *   {index} – zero-based shard index, zero-padded to 5 digits
+ *   {total} – total number of shards, zero-padded to 5 digits
+ *
+ * @param {string} pattern
+ * @param {{ split: string, index: number, total: number }} fields
+ * @returns {string}
+ */
+export function formatShardName(pattern, { split, index, total }) {
+  return pattern
+    .replaceAll('{split}', split)
+    .replaceAll('{index}', String(index).padStart(5, '0'))
+    .replaceAll('{total}', String(total).padStart(5, '0'));
+}
+
+/**
+ * Writes lines into consecutive shard files of `shardSize` mazes each,
+ * tracking per-shard maze index ranges, line counts, byte sizes and SHA-256
+ * digests.  Each maze (one entry of a pipeline batch) holds `linesPerMaze`
+ * lines: 1, or 2 when solving in both directions.
+ */
+export class ShardWriter {
+  /**
+   * @param {object} params { dir, pattern, shardSize, count, split, compress, linesPerMaze }
+   */
+  constructor({ dir, pattern = DEFAULT_SHARD_PATTERN, shardSize, count, split, compress = false, linesPerMaze = 1 }) {
+    if (!Number.isInteger(shardSize) || shardSize < 1) {
+      throw new Error(`Invalid shard size: ${shardSize}`);
+    }
+    this.dir = dir;
+    // Compressed shards always carry a .gz suffix
+    this.pattern = compress && !pattern.endsWith('.gz') ? `${pattern}.gz` : pattern;
+    this.compress = compress;
+    this.shardSize = shardSize;
+    this.linesPerMaze = linesPerMaze;
+    this.split = split;
+    this.total = Math.ceil(count / shardSize);
+    this.shards = [];
+    this.current = null;
+    this.nextIndex = 0;
+
+    // Refuse patterns that would map several shards to the same file
+    if (this.total > 1 && formatShardName(this.pattern, { split, index: 0, total: this.total }) ===
+        formatShardName(this.pattern, { split, index: 1, total: this.total })) {
+      throw new Error(`Shard pattern "${pattern}" must contain {index}`);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  /**
+   * Append lines (in dataset order), rolling over to a new shard as needed.
+   * @param {string[]} lines  one entry per maze
+   */
+  async write(lines) {
+    let offset = 0;
+    while (offset < lines.length) {
+      if (!this.current || this.current.mazes === this.shardSize) {
+        await this._rollover();
+      }
+      const take = Math.min(this.shardSize - this.current.mazes, lines.length - offset);
+      this.current.mazes += take;
+      this.nextIndex += take;
+      await this.current.writer.write(lines.slice(offset, offset + take).join(''));
+      offset += take;
+    }
+  }
+
+  /**
+   * Flush and close the last shard.
+   * @returns {Promise<Array<{ file: string, start: number, end: number, lines: number, bytes: number, sha256: string }>>}
+   *   `start`/`end` delimit the shard's maze indices
+   */
+  async close() {
+    await this._finishCurrent();
+    return this.shards;
+  }
+
+  async _rollover() {
+    await this._finishCurrent();
+    const index = this.shards.length;
+    const file = formatShardName(this.pattern, { split: this.split, index, total: this.total });
+    this.current = {
+      file,
+      start: this.nextIndex,
+      mazes: 0,
+      writer: new DatasetWriter({ path: path.join(this.dir, file), compress: this.compress, sha256: true })
+    };
+  }
+
+  async _finishCurrent() {
+    if (!this.current) return;
+    const { file, start, mazes, writer } = this.current;
+    await writer.close();
+    this.shards.push({ file, start, end: start + mazes, lines: mazes * this.linesPerMaze,
+                       bytes: writer.bytes, sha256: writer.sha256() });
+    this.current = null;
+  }
+}
+
+/**
+ * Write `manifest.json` describing a sharded dataset.
+ *
+ * @param {string} dir
+ * @param {{ config: Object, shardSize: number, shards: Array }} manifest
+ * @returns {string} path of the written manifest
+ */
+export function writeManifest(dir, { config, shardSize, shards }) {
+  const manifestPath = path.join(dir, MANIFEST_FILENAME);
+  const manifest = {
+    config,
+    shardSize,
+    numShards: shards.length,
+    numExamples: shards.reduce((n, s) => n + s.lines, 0),
+    totalBytes: shards.reduce((n, s) => n + s.bytes, 0),
+    shards
+  };
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  return manifestPath;
+}
@@ -3,59 +3,92 @@
  * 
  * Worker thread that handles solving mazes.
  * Receives batches of ENCODED maze data, decodes them, solves them,
- * and sends the serialized solutions back.
+ * optionally degrades the traces (see `transforms.js`), and sends the
+ * serialized solutions back.
  */
 
 import { parentPort } from 'worker_threads';
 import { solvers } from '../solvers.js';
-import { serializeExample } from './serializer.js';
+import { serializeExample, solverMetadata } from './serializer.js';
 import { decodeMazeSpec } from './maze-codec.js';
-
-// The A* solver requires a heuristic function.
-// We define a simple Manhattan distance heuristic here.
-function heuristic(x1, y1, x2, y2) {
-  return Math.abs(x1 - x2) + Math.abs(y1 - y2);
-}
+import { seedLCG, deriveSolverSeed, deriveTransformSeed } from './rng.js';
+import { makeHeuristic } from '../heuristics.js';
+import { solveDirections, solveInDirection } from './direction.js';
+import { parseTransforms, applyTransforms } from './transforms.js';
 
 // Listen for work
 parentPort.on('message', (msg) => {
-  const { batch, solverId, rows, cols } = msg;
+  const { batch, solverId, rows, cols, seed, mode, solverParams = {}, direction, traceTransforms = [], components = null } = msg;
+  // Heuristic settings build ctx.heuristic; the rest go to solveSync as-is
+  const { heuristic: heuristicId, heuristicWeight, heuristicNoise, ...params } = solverParams;
 
-  if (!solvers[solverId] || typeof solvers[solverId].solveSync !== 'function') {
-    parentPort.postMessage({ error: `Unknown or invalid solverId: ${solverId}` });
-    return;
+  // Without a recipe, every example uses the single configured solver
+  const targets = components || [{ solverId, rows, cols }];
+  for (const { solverId } of targets) {
+    if (!solvers[solverId] || typeof solvers[solverId].solveSync !== 'function') {
+      parentPort.postMessage({ error: `Unknown or invalid solverId: ${solverId}` });
+      return;
+    }
   }
 
   const lines = [];
   try {
+    const transformSteps = parseTransforms(traceTransforms);
     for (const item of batch) {
       // Decode the ArrayBuffer back into a standard JS object
       const spec = decodeMazeSpec(item.spec);
+      const { solverId, rows, cols } = targets[item.component];
+
+      // With direction 'both' one maze yields a forward and a backward line,
+      // kept together in one entry so that entries still count mazes
+      let line = '';
+      for (const solveDirection of solveDirections(direction)) {
+        // Randomized solvers and heuristics draw from a per-example stream
+        // (the same one in both directions)
+        const prng = seedLCG(deriveSolverSeed(seed, mode, item.idx));
+
+        // Solve the maze using the decoded spec.
+        // The solver is sensitive to the order of properties in its argument object,
+        // so we construct it manually to match the original implementation exactly.
+        const solution = solveInDirection(solvers[solverId], {
+          rows,
+          cols,
+          grid: spec.grid,
+          startX: spec.startX,
+          startY: spec.startY,
+          goalX: spec.goalX,
+          goalY: spec.goalY,
+          heuristic: makeHeuristic(heuristicId, { weight: heuristicWeight, noise: heuristicNoise, prng }),
+          prng,
+          ...params
+        }, solveDirection);
+
+        // If the solver failed, it's a critical error because all generated mazes
+        // in this system should be solvable.
+        if (!solution || !solution.plan || !solution.reasoning) {
+          // Post a specific, clear error and stop processing this batch.
+          parentPort.postMessage({ error: `Solver '${solverId}' failed to find a valid solution plan or reasoning. This indicates a bug.` });
+          return; // Exit the message handler
+        }
+
+        // Ablations degrade the trace only; the plan stays correct
+        if (transformSteps.length > 0) {
+          const transformPrng = seedLCG(deriveTransformSeed(seed, mode, item.idx));
+          solution.reasoning = applyTransforms(solution.reasoning, transformSteps, { prng: transformPrng, rows, cols });
+        }
 
-      // Solve the maze using the decoded spec.
-      // The solver is sensitive to the order of properties in its argument object,
-      // so we construct it manually to match the original implementation exactly.
-      const solution = solvers[solverId].solveSync({
-        rows,
-        cols,
-        grid: spec.grid,
-        startX: spec.startX,
-        startY: spec.startY,
-        goalX: spec.goalX,
-        goalY: spec.goalY,
-        heuristic
-      });
-      
-      // If the solver failed, it's a critical error because all generated mazes
-      // in this system should be solvable.
-      if (!solution || !solution.plan || !solution.reasoning) {
-        // Post a specific, clear error and stop processing this batch.
-        parentPort.postMessage({ error: `Solver '${solverId}' failed to find a valid solution plan or reasoning. This indicates a bug.` });
-        return; // Exit the message handler
+        // Serialize the result for writing to the dataset file.
+        // Mixture datasets record which recipe component each example came from
+        // and its grid size, and non-default solver settings, directions and
+        // transforms are recorded as well.
+        const metadata = {
+          ...(components ? { component: components[item.component].name, rows, cols } : {}),
+          ...solverMetadata(solverId, solverParams),
+          ...(direction ? { direction: solveDirection } : {}),
+          ...(transformSteps.length > 0 ? { transforms: traceTransforms } : {})
+        };
+        line += serializeExample({ spec, solution, generatorId: 'kruskal-codec', solverId, metadata });
       }
-      
-      // Serialize the result for writing to the dataset file
-      const line = serializeExample({ spec, solution, generatorId: 'kruskal-codec', solverId });
       lines.push(line);
     }
 
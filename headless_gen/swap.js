@@ -0,0 +1,141 @@
+/*
+ * headless_gen/swap.js
+ *
+ * Trace swapping for semantically mismatched datasets: every example keeps
+ * its own prompt (maze, start, goal) and its own correct plan, but its A*
+ * reasoning trace is taken from a different example of the same run (the CLI
+ * only allows swapping with `--solver astar`).
+ *
+ * Examples are swapped within blocks of consecutive examples: blocks of
+ * `--batch-size` examples ('batch' scope) or the whole dataset ('dataset'
+ * scope, which holds every example in memory until the run is over).  Within
+ * a block the trace sources form a random cyclic permutation, so no example
+ * keeps its own trace; a last block of a single example joins the block
+ * before it.  The permutations are drawn block by block from their own PRNG
+ * stream, so a (seed, mode, count, scope, batch size) tuple always pairs the
+ * same examples.
+ */
+
+import path from 'path';
+import { seedLCG, deriveIndexSeed } from './rng.js';
+
+export const TRACE_SOURCES = ['matched', 'swapped'];
+export const SWAP_SCOPES = ['batch', 'dataset'];
+export const SOURCES_FILENAME = 'sources.jsonl';
+
+// Swap permutations use the per-index stream of an index no example will ever
+// use (the recipe schedule has 0xffffffff)
+const SWAP_STREAM = 0xfffffffe;
+
+/**
+ * Sidecar listing the trace source of every example, one
+ * `{"index": i, "source": j}` line per example (per maze with direction 'both').
+ * @param {string} output   output file, or shard directory
+ * @param {boolean} sharded
+ * @returns {string}
+ */
+export function sourcesPath(output, sharded) {
+  return sharded ? path.join(output, SOURCES_FILENAME) : `${output}.sources.jsonl`;
+}
+
+/**
+ * Block boundaries: [start, end) example ranges in order.
+ * @param {number} count      number of examples (at least 2)
+ * @param {number} blockSize  examples per block (at least 2)
+ * @returns {Array<[number, number]>}
+ */
+export function swapBlocks(count, blockSize) {
+  const blocks = [];
+  for (let start = 0; start < count; start += blockSize) {
+    blocks.push([start, Math.min(start + blockSize, count)]);
+  }
+  if (blocks.length > 1 && blocks[blocks.length - 1][1] - blocks[blocks.length - 1][0] === 1) {
+    blocks.pop();
+    blocks[blocks.length - 1][1] = count;
+  }
+  return blocks;
+}
+
+/**
+ * Random cyclic permutation of 0..n-1 (Sattolo's algorithm): entry i is the
+ * block position whose trace example i receives, never i itself.
+ * @param {number} n      block length (at least 2)
+ * @param {Function} prng
+ * @returns {Uint32Array}
+ */
+export function cyclicPermutation(n, prng) {
+  const perm = new Uint32Array(n);
+  for (let i = 0; i < n; i++) perm[i] = i;
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(prng() * i);
+    const tmp = perm[i];
+    perm[i] = perm[j];
+    perm[j] = tmp;
+  }
+  return perm;
+}
+
+// Replace the `reasoning …` section of one JSONL line by that of another
+function swapLine(line, sourceLine) {
+  const obj = JSON.parse(line);
+  const source = JSON.parse(sourceLine).text;
+  const text = obj.text;
+  obj.text = text.slice(0, text.indexOf(' reasoning')) +
+    source.slice(source.indexOf(' reasoning'), source.indexOf(' solution ')) +
+    text.slice(text.indexOf(' solution '));
+  return JSON.stringify(obj) + '\n';
+}
+
+/**
+ * Give one example the trace(s) of another.  Entries with several lines
+ * (direction 'both') are swapped line by line, so a forward line receives a
+ * forward trace and a backward line a backward one.
+ * @param {string} entry        JSONL line(s) of one example
+ * @param {string} sourceEntry  JSONL line(s) of the example the trace comes from
+ * @returns {string}
+ */
+export function swapTrace(entry, sourceEntry) {
+  const lines = entry.split('\n').slice(0, -1);
+  const sourceLines = sourceEntry.split('\n');
+  return lines.map((line, i) => swapLine(line, sourceLines[i])).join('');
+}
+
+/**
+ * Re-emit the batches of `generateDatasetParallel` with swapped traces.  The
+ * output is buffered until a block is complete, so batches no longer line up
+ * with the input; each yielded batch carries `sources`, the example index
+ * every trace came from.
+ *
+ * @param {AsyncIterable<{type: 'batch', lines: string[], rejected: number}>} batches
+ * @param {{ count: number, scope: string, batchSize: number, seed: number, mode: string }} opts
+ * @returns {AsyncGenerator<{type: 'batch', lines: string[], sources: number[], nextIndex: number, rejected: number}>}
+ */
+export async function* swapTraces(batches, { count, scope, batchSize, seed, mode }) {
+  if (!SWAP_SCOPES.includes(scope)) {
+    throw new Error(`Unknown swap scope "${scope}" (expected one of: ${SWAP_SCOPES.join(', ')})`);
+  }
+  if (count < 2) throw new Error('Swapping traces needs at least 2 examples');
+  const blocks = swapBlocks(count, scope === 'dataset' ? count : Math.max(2, batchSize));
+  const prng = seedLCG(deriveIndexSeed(seed, mode, SWAP_STREAM));
+
+  let buffer = [];
+  let bufferStart = 0;
+  let block = 0;
+  for await (const item of batches) {
+    buffer.push(...item.lines);
+    while (block < blocks.length && bufferStart + buffer.length >= blocks[block][1]) {
+      const [start, end] = blocks[block++];
+      const entries = buffer.slice(0, end - start);
+      buffer = buffer.slice(end - start);
+      bufferStart = end;
+      const perm = cyclicPermutation(entries.length, prng);
+      yield {
+        type: 'batch',
+        lines: entries.map((entry, i) => swapTrace(entry, entries[perm[i]])),
+        sources: Array.from(perm, p => start + p),
+        nextIndex: end,
+        rejected: item.rejected
+      };
+    }
+  }
+}
@@ -0,0 +1,117 @@
+/*
+ * headless_gen/transforms.js
+ *
+ * Seeded trace transforms for ablation datasets, applied to a solver's
+ * `reasoning` events between `solveSync` and `serializeExample`; the prompt
+ * and the plan are left alone.  A transform is given as `name` or
+ * `name:param`, and several run in the given order:
+ *
+ *   drop            – remove the trace entirely
+ *   truncate:K      – keep the first K% of the events (default 50)
+ *   shuffle         – shuffle the order of the events
+ *   drop-costs      – remove the cost tokens (cG, cH, …) from every event
+ *   random-coords   – replace every coordinate pair by a random in-bounds cell
+ *   inject:P        – after each event, with probability P (default 0.1),
+ *                     insert an extra `create` or `close` event at a random
+ *                     cell, shaped like a random `create`/`close` event of the
+ *                     trace (same tag and cost tokens); traces without such
+ *                     events are left unchanged
+ *
+ * Randomness comes from a per-example stream (see `deriveTransformSeed`), so
+ * ablation datasets are regenerable from the seed.
+ */
+
+// Cost tokens are "c" followed by a number: c3, c12.5, …
+const COST_TOKEN = /^c-?[\d.]/;
+
+function randomInt(prng, n) {
+  return Math.floor(prng() * n);
+}
+
+export const TRACE_TRANSFORMS = {
+  drop: {
+    apply: () => []
+  },
+  truncate: {
+    param: { name: 'percent', default: 50, valid: k => k >= 0 && k <= 100 },
+    apply: (reasoning, k) => reasoning.slice(0, Math.floor(reasoning.length * k / 100))
+  },
+  shuffle: {
+    apply: (reasoning, _, { prng }) => {
+      const events = reasoning.slice();
+      for (let i = events.length - 1; i > 0; i--) {
+        const j = randomInt(prng, i + 1);
+        [events[i], events[j]] = [events[j], events[i]];
+      }
+      return events;
+    }
+  },
+  'drop-costs': {
+    apply: reasoning => reasoning.map(event => event.filter(token => !COST_TOKEN.test(token)))
+  },
+  'random-coords': {
+    // Coordinates are the only numeric tokens, always as x, y pairs
+    apply: (reasoning, _, { prng, rows, cols }) => reasoning.map(event => {
+      let axis = 0;
+      return event.map(token => {
+        if (typeof token !== 'number') return token;
+        return randomInt(prng, axis++ % 2 === 0 ? cols : rows);
+      });
+    })
+  },
+  inject: {
+    param: { name: 'rate', default: 0.1, valid: p => p >= 0 && p <= 1 },
+    apply: (reasoning, p, { prng, rows, cols }) => {
+      const templates = reasoning.filter(([type]) => type === 'create' || type === 'close');
+      if (templates.length === 0) return reasoning;
+      const events = [];
+      for (const event of reasoning) {
+        events.push(event);
+        if (prng() >= p) continue;
+        const template = templates[randomInt(prng, templates.length)];
+        const x = randomInt(prng, cols);
+        const y = randomInt(prng, rows);
+        const type = prng() < 0.5 ? 'create' : 'close';
+        // Keep the template's tag (bidirectional solvers) and cost tokens
+        const tags = template.slice(1).filter(token => typeof token === 'string' && !COST_TOKEN.test(token));
+        events.push([type, ...tags, x, y, ...template.filter(token => COST_TOKEN.test(token))]);
+      }
+      return events;
+    }
+  }
+};
+
+/**
+ * Parse transform specs such as `truncate:25` into `{ name, param }` steps.
+ * @param {string[]} specs
+ * @returns {Array<{ name: string, param?: number }>}
+ */
+export function parseTransforms(specs) {
+  return specs.map(spec => {
+    const [name, value, ...rest] = String(spec).split(':');
+    const transform = TRACE_TRANSFORMS[name];
+    if (!transform) {
+      throw new Error(`Unknown trace transform "${name}" (expected one of: ${Object.keys(TRACE_TRANSFORMS).join(', ')})`);
+    }
+    if (!transform.param) {
+      if (value !== undefined) throw new Error(`Trace transform "${name}" takes no parameter`);
+      return { name };
+    }
+    const param = value === undefined ? transform.param.default : Number(value);
+    if (rest.length > 0 || value === '' || !transform.param.valid(param)) {
+      throw new Error(`Invalid ${transform.param.name} for trace transform "${name}": ${spec}`);
+    }
+    return { name, param };
+  });
+}
+
+/**
+ * Apply transform steps in order.
+ * @param {Array<Array>} reasoning  solver events (not modified)
+ * @param {Array<{ name: string, param?: number }>} steps  see `parseTransforms`
+ * @param {{ prng: Function, rows: number, cols: number }} ctx
+ * @returns {Array<Array>}
+ */
+export function applyTransforms(reasoning, steps, ctx) {
+  return steps.reduce((events, { name, param }) => TRACE_TRANSFORMS[name].apply(events, param, ctx), reasoning);
+}
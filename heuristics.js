@@ -0,0 +1,89 @@
+// Heuristics for informed solvers (A*)
+// Works in both browser and Node.js environments.  Every entry builds a
+// distance estimate `h(x1, y1, x2, y2)` from optional parameters:
+//   weight – factor of the weighted Manhattan heuristic
+//   noise  – largest extra cost of the noisy heuristic
+//   prng   – random source the noisy heuristic draws its per-maze seed from
+// Every heuristic returns whole numbers, so traces only ever hold integer
+// `cH` cost tokens and the token vocabulary stays bounded.
+
+// Parameter defaults
+export const HEURISTIC_DEFAULTS = { weight: 2, noise: 2 };
+
+// Manhattan distance: admissible and consistent on 4-connected grids
+function manhattanDistance(x1, y1, x2, y2) {
+  return Math.abs(x1 - x2) + Math.abs(y1 - y2);
+}
+
+// Avalanche-mix a seed and a cell into a 32-bit hash
+function hashCell(seed, x1, y1, x2, y2) {
+  let h = seed >>> 0;
+  for (const v of [x1, y1, x2, y2]) {
+    h = Math.imul(h ^ v, 0x9e3779b1);
+    h ^= h >>> 15;
+  }
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  return h >>> 0;
+}
+
+export const manhattan = {
+  name: 'Manhattan',
+  create: () => manhattanDistance
+};
+
+// h = 0 turns A* into Dijkstra's algorithm
+export const zero = {
+  name: 'Zero (Dijkstra)',
+  create: () => () => 0
+};
+
+// Straight-line distance rounded up: still at most the Manhattan distance,
+// so rounding keeps it admissible and consistent
+export const euclidean = {
+  name: 'Euclidean',
+  create: () => (x1, y1, x2, y2) => Math.ceil(Math.hypot(x1 - x2, y1 - y2))
+};
+
+export const chebyshev = {
+  name: 'Chebyshev',
+  create: () => (x1, y1, x2, y2) => Math.max(Math.abs(x1 - x2), Math.abs(y1 - y2))
+};
+
+// w × Manhattan, rounded to the nearest integer: inadmissible for w > 1,
+// trading optimality for fewer expansions
+export const weighted = {
+  name: 'Weighted Manhattan',
+  create: ({ weight = HEURISTIC_DEFAULTS.weight } = {}) => (x1, y1, x2, y2) => Math.round(weight * manhattanDistance(x1, y1, x2, y2))
+};
+
+// Manhattan plus a fixed integer in [0, noise] per cell, 0 at the goal.
+// Deliberately inadmissible.  The noise is a hash of the cell and a seed drawn
+// once from `prng`, so repeated calls for one cell agree.
+export const noisy = {
+  name: 'Noisy Manhattan',
+  create: ({ noise = HEURISTIC_DEFAULTS.noise, prng = Math.random } = {}) => {
+    const seed = Math.floor(prng() * 0x100000000);
+    const span = Math.floor(noise) + 1;
+    return (x1, y1, x2, y2) => {
+      const d = manhattanDistance(x1, y1, x2, y2);
+      return d === 0 ? 0 : d + hashCell(seed, x1, y1, x2, y2) % span;
+    };
+  }
+};
+
+// Unified heuristics registry
+export const heuristics = { manhattan, zero, euclidean, chebyshev, weighted, noisy };
+
+/**
+ * Build the heuristic function `id` (default Manhattan).
+ * @param {string} [id]  key in `heuristics`
+ * @param {{ weight?: number, noise?: number, prng?: Function }} [params]
+ * @returns {(x1: number, y1: number, x2: number, y2: number) => number}
+ */
+export function makeHeuristic(id = 'manhattan', params = {}) {
+  if (!heuristics[id]) {
+    throw new Error(`Unknown heuristic "${id}" (expected one of: ${Object.keys(heuristics).join(', ')})`);
+  }
+  return heuristics[id].create(params);
+}
@@ -1,6 +1,7 @@
 // Core maze/solver imports
 import { generators } from './generators.js';
 import { solvers } from './solvers.js';
+import { heuristics, makeHeuristic } from './heuristics.js';
 
 // State management class
 class MazeState {
@@ -150,6 +151,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const mazeAlgoSelect = document.getElementById('mazeAlgoSelect');
   const solveAlgoSelect = document.getElementById('solveAlgoSelect');
   const solveDirSelect   = document.getElementById('solveDirSelect');
+  const heuristicSelect  = document.getElementById('heuristicSelect');
   // Populate maze-generator dropdown
   for (const key in generators) {
     const opt = document.createElement('option');
@@ -163,6 +165,12 @@ document.addEventListener('DOMContentLoaded', () => {
     opt.textContent = solvers[key].name;
     solveAlgoSelect.appendChild(opt);
   }
+  for (const key in heuristics) {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = heuristics[key].name;
+    heuristicSelect.appendChild(opt);
+  }
   // Restore last selections from localStorage or fall back to first option
   const savedMaze = localStorage.getItem('mazeAlgo');
   if (savedMaze && savedMaze !== 'load' && generators[savedMaze]) {
@@ -177,6 +185,12 @@ document.addEventListener('DOMContentLoaded', () => {
   } else {
     solveAlgoSelect.value = Object.keys(solvers)[0];
   }
+  const savedHeuristic = localStorage.getItem('heuristic');
+  if (savedHeuristic && heuristics[savedHeuristic]) {
+    heuristicSelect.value = savedHeuristic;
+  } else {
+    heuristicSelect.value = 'manhattan';
+  }
   const savedDir = localStorage.getItem('solveDir');
   if (savedDir === 'forward' || savedDir === 'backward') {
     solveDirSelect.value = savedDir;
@@ -267,6 +281,11 @@ document.addEventListener('DOMContentLoaded', () => {
     localStorage.setItem('solveAlgo', solveAlgoSelect.value);
     reSolve(generationToken);
   });
+  heuristicSelect.addEventListener('change', () => {
+    localStorage.setItem('heuristic', heuristicSelect.value);
+    generationToken++;
+    reSolve(generationToken);
+  });
   solveDirSelect.addEventListener('change', () => {
     localStorage.setItem('solveDir', solveDirSelect.value);
     generationToken++;
@@ -347,6 +366,28 @@ document.addEventListener('DOMContentLoaded', () => {
     );
   }
 
+  // Draw a cell closed by one frontier of a bidirectional search:
+  // 'fwd' (from the start) in dark purple, 'bwd' (from the goal) in dark teal
+  function drawSideCell(x, y, side) {
+    ctx.fillStyle = side === 'fwd' ? '#5b3a78' : '#2f6b68';
+    ctx.fillRect(
+      offsetX + x * cellSize,
+      offsetY + y * cellSize,
+      cellSize,
+      cellSize
+    );
+  }
+
+  // Draw a jump of jump point search as an orange line between cell centres
+  function drawJump(x1, y1, x2, y2) {
+    ctx.strokeStyle = 'orange';
+    ctx.lineWidth = Math.max(1, cellSize / 4);
+    ctx.beginPath();
+    ctx.moveTo(offsetX + x1 * cellSize + cellSize / 2, offsetY + y1 * cellSize + cellSize / 2);
+    ctx.lineTo(offsetX + x2 * cellSize + cellSize / 2, offsetY + y2 * cellSize + cellSize / 2);
+    ctx.stroke();
+  }
+
   // Draw a path cell in blue
   function drawPathCell(x, y) {
     ctx.fillStyle = 'blue';
@@ -408,11 +449,6 @@ document.addEventListener('DOMContentLoaded', () => {
     mazeCanvas.drawMarker(x, y, color, letter);
   }
 
-  // Manhattan distance heuristic
-  function heuristic(x1, y1, x2, y2) {
-    return Math.abs(x1 - x2) + Math.abs(y1 - y2);
-  }
-
   // Reconstruct path from cameFrom map
   function reconstructPath(cameFrom, cx, cy) {
     const path = [[cx, cy]];
@@ -448,12 +484,19 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     };
     
+    // Heuristic from the dropdown (the noisy one is reseeded on every solve)
+    const heuristic = makeHeuristic(heuristicSelect.value);
+
     // Run solver algorithm
     const solverAlgo = solvers[solveAlgoSelect.value];
     solverAlgo.solve(token, {
       rows, cols, grid,
       startX: start.x, startY: start.y, goalX: goal.x, goalY: goal.y,
       drawCell, drawClosedCell, drawPathCell,
+      // For bidirectional solvers: the two frontiers in two colours
+      drawSideCell,
+      // For jump point search: the jumps as lines
+      drawJump,
       drawMarker: solveDrawMarker,
       // For random-walk solver: heatmap & pointer
       drawVisitCell, drawPointer,
@@ -2,7 +2,15 @@ import { astar } from './solvers/astar.js';
 import { bfs }   from './solvers/bfs.js';
 import { dfs }   from './solvers/dfs.js';
 import { random } from './solvers/random.js';
+import { greedy } from './solvers/greedy.js';
+import { dijkstra } from './solvers/dijkstra.js';
+import { bibfs, biastar } from './solvers/bidirectional.js';
+import { idastar } from './solvers/idastar.js';
+import { jps } from './solvers/jps.js';
 
 // Unified maze solving algorithms registry
 // Works in both browser and Node.js environments
-export const solvers = { astar, bfs, dfs, random };
\ No newline at end of file
+export const solvers = { astar, bfs, dfs, random, greedy, dijkstra, bibfs, biastar, idastar, jps };
+
+// Solvers that take `ctx.heuristic` and record its values as cH tokens
+export const heuristicSolvers = ['astar', 'greedy', 'dijkstra', 'biastar', 'idastar', 'jps'];
\ No newline at end of file
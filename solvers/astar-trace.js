@@ -0,0 +1,127 @@
+// A* trace validator: replays a create/close trace against a maze
+
+// Same neighbour order as the A* solver
+const DIRS = [[0,-1],[1,0],[0,1],[-1,0]];
+
+// Tie-breaking strictness levels
+//   'any'       – any open node with minimal f may be closed, and each
+//                 expansion may create its neighbours in any order
+//   'insertion' – exactly what astar.solveSync does: the earliest-inserted
+//                 node among those with minimal f, neighbours in DIRS order
+export const TIE_BREAK_LEVELS = ['any', 'insertion'];
+
+// 'c12' -> 12, anything else -> NaN
+function parseCost(token) {
+  return typeof token === 'string' && token[0] === 'c' && token.length > 1 ? Number(token.slice(1)) : NaN;
+}
+
+/**
+ * Check whether a reasoning trace is a legitimate A* execution on a maze.
+ * The trace must start by closing the start node and, if the goal is
+ * reachable, end by closing the goal.  Every close must take a node from the
+ * open list with minimal f and the g/h costs it was created with; every
+ * expansion must create exactly the neighbours whose g it improves, with the
+ * right costs.
+ *
+ * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic } (as for solveSync)
+ * @param {Array<Array>} reasoning  events such as ['close', x, y, 'c3', 'c7']
+ * @param {{ tieBreak?: string }} [options] strictness level, see TIE_BREAK_LEVELS (default 'any')
+ * @returns {{ valid: boolean, index?: number, event?: Array, reason?: string }}
+ *   for invalid traces: index of the first illegal event (reasoning.length if the trace ends too early), the event and why
+ */
+export function validateAStarTrace(ctx, reasoning, { tieBreak = 'any' } = {}) {
+  const { rows, cols, grid, startX, startY, goalX, goalY, heuristic } = ctx;
+  if (!TIE_BREAK_LEVELS.includes(tieBreak)) {
+    throw new Error(`Unknown tie-break level "${tieBreak}" (expected one of: ${TIE_BREAK_LEVELS.join(', ')})`);
+  }
+  const gScore = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
+  const closedSet = Array(rows).fill(null).map(() => Array(cols).fill(false));
+  // Open list in insertion order; updated nodes keep their position
+  const openSet = [[startX, startY]];
+  gScore[startY][startX] = 0;
+  const inOpen = (x, y) => openSet.some(n => n[0] === x && n[1] === y);
+  const f = (x, y) => gScore[y][x] + heuristic(x, y, goalX, goalY);
+
+  // Node being expanded and the creates its expansion still owes
+  let current = null;
+  let pending = [];
+  let goalClosed = false;
+
+  const fail = (index, reason) => ({ valid: false, index, event: reasoning[index], reason });
+  const missing = () => `missing create for (${pending[0][0]}, ${pending[0][1]}) while expanding (${current[0]}, ${current[1]})`;
+
+  for (let i = 0; i < reasoning.length; i++) {
+    const ev = reasoning[i];
+    if (goalClosed) return fail(i, 'event after the goal was closed');
+    if (!Array.isArray(ev) || ev.length !== 5 || (ev[0] !== 'create' && ev[0] !== 'close')) {
+      return fail(i, 'expected [create|close, x, y, cG, cH]');
+    }
+    const [type, x, y] = ev;
+    const g = parseCost(ev[3]);
+    const h = parseCost(ev[4]);
+    if (!Number.isInteger(x) || !Number.isInteger(y) || Number.isNaN(g) || Number.isNaN(h)) {
+      return fail(i, 'malformed coordinates or costs');
+    }
+    if (x < 0 || x >= cols || y < 0 || y >= rows) {
+      return fail(i, `(${x}, ${y}) is outside the grid`);
+    }
+    const expectedH = heuristic(x, y, goalX, goalY);
+
+    if (type === 'close') {
+      if (pending.length > 0) return fail(i, missing());
+      if (closedSet[y][x]) return fail(i, `closing (${x}, ${y}), which is already closed`);
+      if (!inOpen(x, y)) return fail(i, `closing (${x}, ${y}), which is not in the open list`);
+      if (g !== gScore[y][x]) return fail(i, `wrong g cost: expected c${gScore[y][x]}`);
+      if (h !== expectedH) return fail(i, `wrong h cost: expected c${expectedH}`);
+      const bestF = Math.min(...openSet.map(([ox, oy]) => f(ox, oy)));
+      if (f(x, y) > bestF) return fail(i, `non-minimal f chosen: f=${f(x, y)}, open list has f=${bestF}`);
+      if (tieBreak === 'insertion') {
+        const [bx, by] = openSet.find(([ox, oy]) => f(ox, oy) === bestF);
+        if (bx !== x || by !== y) return fail(i, `tie broken out of insertion order: expected (${bx}, ${by})`);
+      }
+      openSet.splice(openSet.findIndex(n => n[0] === x && n[1] === y), 1);
+      current = [x, y];
+      if (x === goalX && y === goalY) {
+        goalClosed = true;
+        continue;
+      }
+      closedSet[y][x] = true;
+      // Neighbours this expansion has to create
+      pending = [];
+      for (const [dx, dy] of DIRS) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+        if (grid[ny][nx] === 0 || closedSet[ny][nx]) continue;
+        if (gScore[y][x] + 1 < gScore[ny][nx]) pending.push([nx, ny]);
+      }
+      continue;
+    }
+
+    // create
+    if (!current) return fail(i, 'create before any node was closed');
+    const [cx, cy] = current;
+    if (Math.abs(x - cx) + Math.abs(y - cy) !== 1) {
+      return fail(i, `(${x}, ${y}) is not a neighbour of the expanded node (${cx}, ${cy})`);
+    }
+    if (grid[y][x] === 0) return fail(i, `expanding through a wall at (${x}, ${y})`);
+    if (closedSet[y][x]) return fail(i, `creating (${x}, ${y}), which is already closed`);
+    const k = pending.findIndex(n => n[0] === x && n[1] === y);
+    if (k === -1) {
+      return fail(i, `creating (${x}, ${y}) does not improve its g cost c${gScore[y][x]}`);
+    }
+    if (tieBreak === 'insertion' && k !== 0) {
+      return fail(i, `neighbours created out of order: expected (${pending[0][0]}, ${pending[0][1]}) next`);
+    }
+    if (g !== gScore[cy][cx] + 1) return fail(i, `wrong g cost: expected c${gScore[cy][cx] + 1}`);
+    if (h !== expectedH) return fail(i, `wrong h cost: expected c${expectedH}`);
+    pending.splice(k, 1);
+    gScore[y][x] = g;
+    if (!inOpen(x, y)) openSet.push([x, y]);
+  }
+
+  const end = reasoning.length;
+  if (end === 0) return fail(end, 'empty trace: the start node was never closed');
+  if (pending.length > 0) return fail(end, missing());
+  if (!goalClosed && openSet.length > 0) return fail(end, 'trace ends before the goal is closed');
+  return { valid: true };
+}
@@ -1,4 +1,6 @@
-// A* (Manhattan) solver
+// A* solver (Manhattan heuristic unless another one is picked)
+import { heapPush, heapPop } from './heap.js';
+import { reconstructPathInternal } from './path.js';
 
 // Shared direction vectors
 const DIRS = [[0,-1],[1,0],[0,1],[-1,0]];
@@ -17,24 +19,151 @@ function extractLowestFScore(openSet, fScore) {
   return openSet.splice(lowestIndex, 1)[0];
 }
 
-// Reconstruct path from cameFrom map
-function reconstructPathInternal(cameFrom, startX, startY, goalX, goalY) {
-  const path = [];
-  let x = goalX, y = goalY;
-  while (x !== startX || y !== startY) {
-    path.push([x, y]);
-    const prev = cameFrom[y][x];
-    if (!prev) break;
-    [x, y] = prev;
+// Binary min-heap of [f, tie, seq, x, y] entries ordered by f, then by the
+// tie-break key, then by seq.  `seq` is the node's first insertion into the
+// open list, so with the 'insertion' policy popping the heap picks the same
+// node as extractLowestFScore: the first lowest f in insertion order.
+function heapLess(a, b) {
+  if (a[0] !== b[0]) return a[0] < b[0];
+  if (a[1] !== b[1]) return a[1] < b[1];
+  return a[2] < b[2];
+}
+
+// Ways to break f-ties among open nodes
+export const TIEBREAK_POLICIES = ['insertion', 'lifo', 'lowest-h', 'highest-g', 'random'];
+
+// Secondary heap key of a node pushed with cost g and heuristic h (smaller wins)
+function tiebreakKey(policy, { g, h, seq, push, prng }) {
+  switch (policy) {
+    case 'insertion': return seq;   // first inserted first
+    case 'lifo': return -push;      // most recently created or improved first
+    case 'lowest-h': return h;
+    case 'highest-g': return -g;
+    case 'random': return prng();
+  }
+}
+
+// Headless A* on a linear-scan open list (the original implementation)
+function solveLinear(ctx) {
+  const { rows, cols, grid, startX, startY, goalX, goalY, heuristic } = ctx;
+  const gScore = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
+  const fScore = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
+  const cameFrom = Array(rows).fill(null).map(() => Array(cols).fill(null));
+  const closedSet = Array(rows).fill(null).map(() => Array(cols).fill(false));
+  const openSet = [[startX, startY]];
+  gScore[startY][startX] = 0;
+  fScore[startY][startX] = heuristic(startX, startY, goalX, goalY);
+  const reasoning = [];
+  while (openSet.length > 0) {
+    // pick node with lowest fScore
+    const [currentX, currentY] = extractLowestFScore(openSet, fScore);
+    // record close event: g-cost and h-cost (heuristic)
+    reasoning.push([
+      'close', currentX, currentY,
+      'c' + gScore[currentY][currentX],
+      'c' + heuristic(currentX, currentY, goalX, goalY)
+    ]);
+    if (currentX === goalX && currentY === goalY) break;
+    closedSet[currentY][currentX] = true;
+    for (const [dx, dy] of DIRS) {
+      const nx = currentX + dx, ny = currentY + dy;
+      if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+      if (grid[ny][nx] === 0 || closedSet[ny][nx]) continue;
+      const tentativeG = gScore[currentY][currentX] + 1;
+      if (tentativeG < gScore[ny][nx]) {
+        cameFrom[ny][nx] = [currentX, currentY];
+        gScore[ny][nx] = tentativeG;
+        fScore[ny][nx] = tentativeG + heuristic(nx, ny, goalX, goalY);
+        // record create event for neighbor: g-cost and h-cost (heuristic)
+        reasoning.push([
+          'create', nx, ny,
+          'c' + tentativeG,
+          'c' + heuristic(nx, ny, goalX, goalY)
+        ]);
+        if (!openSet.some(([x,y]) => x===nx && y===ny)) {
+          openSet.push([nx, ny]);
+        }
+      }
+    }
   }
-  path.push([startX, startY]);
-  return path.reverse();
+  // Reconstruct path
+  const plan = reconstructPathInternal(cameFrom, startX, startY, goalX, goalY);
+  return { reasoning, plan };
+}
+
+// Headless A* on a binary heap plus membership bitmaps.  Improved nodes get a
+// fresh heap entry (keeping their original insertion seq); outdated entries
+// are skipped when popped.  With the 'insertion' tie-break policy this
+// produces exactly the same trace as solveLinear.
+function solveHeap(ctx) {
+  const { rows, cols, grid, startX, startY, goalX, goalY, heuristic,
+          astarTiebreak: policy = 'insertion', prng } = ctx;
+  if (policy === 'random' && typeof prng !== 'function') {
+    throw new Error('The random A* tie-break policy requires a seeded prng');
+  }
+  const gScore = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
+  const fScore = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
+  const cameFrom = Array(rows).fill(null).map(() => Array(cols).fill(null));
+  const closedSet = new Uint8Array(rows * cols);
+  const inOpen = new Uint8Array(rows * cols);
+  const seqOf = new Int32Array(rows * cols);
+  let nextSeq = 0;
+  let pushes = 0;
+  const heap = [];
+  const push = (x, y, g, h) => {
+    const seq = seqOf[y * cols + x];
+    heapPush(heap, [g + h, tiebreakKey(policy, { g, h, seq, push: pushes++, prng }), seq, x, y], heapLess);
+  };
+  gScore[startY][startX] = 0;
+  fScore[startY][startX] = heuristic(startX, startY, goalX, goalY);
+  seqOf[startY * cols + startX] = nextSeq++;
+  push(startX, startY, 0, fScore[startY][startX]);
+  inOpen[startY * cols + startX] = 1;
+  const reasoning = [];
+  while (heap.length > 0) {
+    const [f, , , currentX, currentY] = heapPop(heap, heapLess);
+    const current = currentY * cols + currentX;
+    if (!inOpen[current] || f !== fScore[currentY][currentX]) continue;
+    inOpen[current] = 0;
+    reasoning.push([
+      'close', currentX, currentY,
+      'c' + gScore[currentY][currentX],
+      'c' + heuristic(currentX, currentY, goalX, goalY)
+    ]);
+    if (currentX === goalX && currentY === goalY) break;
+    closedSet[current] = 1;
+    for (const [dx, dy] of DIRS) {
+      const nx = currentX + dx, ny = currentY + dy;
+      if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+      const next = ny * cols + nx;
+      if (grid[ny][nx] === 0 || closedSet[next]) continue;
+      const tentativeG = gScore[currentY][currentX] + 1;
+      if (tentativeG < gScore[ny][nx]) {
+        cameFrom[ny][nx] = [currentX, currentY];
+        gScore[ny][nx] = tentativeG;
+        const h = heuristic(nx, ny, goalX, goalY);
+        fScore[ny][nx] = tentativeG + h;
+        reasoning.push([
+          'create', nx, ny,
+          'c' + tentativeG,
+          'c' + heuristic(nx, ny, goalX, goalY)
+        ]);
+        if (!inOpen[next]) {
+          inOpen[next] = 1;
+          seqOf[next] = nextSeq++;
+        }
+        push(nx, ny, tentativeG, h);
+      }
+    }
+  }
+  const plan = reconstructPathInternal(cameFrom, startX, startY, goalX, goalY);
+  return { reasoning, plan };
 }
 
 export const astar = {
-  name: 'A* (Manhattan)',
+  name: 'A*',
   /**
-   * Solve maze using A* search with Manhattan heuristic
+   * Solve maze using A* search with ctx.heuristic (Manhattan by default)
    * @param {number} token
    * @param {object} ctx  {rows, cols, grid, startX, startY, goalX, goalY, drawCell, drawClosedCell, drawPathCell, drawMarker, stepsPerFrame, heuristic, reconstructPath, abortCheck, requestAnimationFrame}
    */
@@ -91,53 +220,25 @@ export const astar = {
   },
   /**
    * Headless synchronous A* solver for dataset generation.
-   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic, astarImpl, astarTiebreak, prng }
+   *   astarImpl: 'heap' (default) or 'linear', the original linear-scan open
+   *   list; both produce identical traces, 'linear' is kept for comparison
+   *   astarTiebreak: how f-ties are broken, one of TIEBREAK_POLICIES
+   *   (default 'insertion'; 'random' draws from prng; heap only)
    * @returns {{ reasoning: Array, plan: Array }}
    */
   solveSync(ctx) {
-    const { rows, cols, grid, startX, startY, goalX, goalY, heuristic } = ctx;
-    const gScore = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
-    const fScore = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
-    const cameFrom = Array(rows).fill(null).map(() => Array(cols).fill(null));
-    const closedSet = Array(rows).fill(null).map(() => Array(cols).fill(false));
-    const openSet = [[startX, startY]];
-    gScore[startY][startX] = 0;
-    fScore[startY][startX] = heuristic(startX, startY, goalX, goalY);
-    const reasoning = [];
-    while (openSet.length > 0) {
-      // pick node with lowest fScore
-      const [currentX, currentY] = extractLowestFScore(openSet, fScore);
-      // record close event: g-cost and h-cost (heuristic)
-      reasoning.push([
-        'close', currentX, currentY,
-        'c' + gScore[currentY][currentX],
-        'c' + heuristic(currentX, currentY, goalX, goalY)
-      ]);
-      if (currentX === goalX && currentY === goalY) break;
-      closedSet[currentY][currentX] = true;
-      for (const [dx, dy] of DIRS) {
-        const nx = currentX + dx, ny = currentY + dy;
-        if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
-        if (grid[ny][nx] === 0 || closedSet[ny][nx]) continue;
-        const tentativeG = gScore[currentY][currentX] + 1;
-        if (tentativeG < gScore[ny][nx]) {
-          cameFrom[ny][nx] = [currentX, currentY];
-          gScore[ny][nx] = tentativeG;
-          fScore[ny][nx] = tentativeG + heuristic(nx, ny, goalX, goalY);
-          // record create event for neighbor: g-cost and h-cost (heuristic)
-          reasoning.push([
-            'create', nx, ny,
-            'c' + tentativeG,
-            'c' + heuristic(nx, ny, goalX, goalY)
-          ]);
-          if (!openSet.some(([x,y]) => x===nx && y===ny)) {
-            openSet.push([nx, ny]);
-          }
-        }
+    const { astarImpl = 'heap', astarTiebreak = 'insertion' } = ctx;
+    if (!TIEBREAK_POLICIES.includes(astarTiebreak)) {
+      throw new Error(`Unknown A* tie-break policy "${astarTiebreak}" (expected one of: ${TIEBREAK_POLICIES.join(', ')})`);
+    }
+    if (astarImpl === 'heap') return solveHeap(ctx);
+    if (astarImpl === 'linear') {
+      if (astarTiebreak !== 'insertion') {
+        throw new Error('The linear A* implementation only supports insertion-order tie-breaking');
       }
+      return solveLinear(ctx);
     }
-    // Reconstruct path
-    const plan = reconstructPathInternal(cameFrom, startX, startY, goalX, goalY);
-    return { reasoning, plan };
+    throw new Error(`Unknown A* implementation "${astarImpl}" (expected heap or linear)`);
   }
 };
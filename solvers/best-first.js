@@ -0,0 +1,148 @@
+// Best-first search shared by the greedy best-first and Dijkstra solvers
+// (and by the bidirectional ones, which run one search from each end).
+// Greedy and Dijkstra record A*-style `create x y cG cH` / `close x y cG cH`
+// events, but pick the next node to close by a different key than A*'s f = g + h.
+// Jump point search uses it with its own successors.
+import { heapPush, heapPop } from './heap.js';
+import { reconstructPathInternal } from './path.js';
+
+const DIRS = [[0,-1],[1,0],[0,1],[-1,0]];
+
+// Default successors: unit moves to the open 4-neighbours
+function gridNeighbours({ rows, cols, grid }, x, y) {
+  const neighbours = [];
+  for (const [dx, dy] of DIRS) {
+    const nx = x + dx, ny = y + dy;
+    if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+    if (grid[ny][nx] === 0) continue;
+    neighbours.push([nx, ny, 1]);
+  }
+  return neighbours;
+}
+
+// Min-heap of [key, seq, x, y] entries; equal keys pop in insertion order
+function heapLess(a, b) {
+  return a[0] !== b[0] ? a[0] < b[0] : a[1] < b[1];
+}
+
+/**
+ * Incremental best-first search.  `order.key(g, h)` ranks open nodes (lowest
+ * first, ties in insertion order).  With `order.improve` an open node whose g
+ * drops is re-created with the better g, as in A*; without it every node is
+ * created once, when it is first discovered.  `order.successors(ctx, x, y,
+ * parent)` lists the [nx, ny, cost] moves out of (x, y), reached from `parent`
+ * (null at the start); by default the unit moves to the open 4-neighbours.
+ *
+ * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+ * @param {{ key: Function, improve: boolean, successors?: Function }} order
+ * @param {Function} [record]  receives every create/close event
+ * @returns {{ step: Function, peekKey: Function, gScore: number[][], closedSet: boolean[][], cameFrom: Array }}
+ *   `step()` closes and expands one node and returns it as [x, y, isGoal],
+ *   or null once the open list is empty; `peekKey()` is the lowest key in
+ *   the open list (Infinity when it is empty)
+ */
+export function bestFirstSearch(ctx, order, record = () => {}) {
+  const { rows, cols, startX, startY, goalX, goalY, heuristic } = ctx;
+  const gScore = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
+  const keyOf = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
+  const cameFrom = Array(rows).fill(null).map(() => Array(cols).fill(null));
+  const closedSet = Array(rows).fill(null).map(() => Array(cols).fill(false));
+  const seqOf = Array(rows).fill(null).map(() => Array(cols).fill(-1));
+  const heap = [];
+  const successors = order.successors || gridNeighbours;
+  let nextSeq = 0;
+  const open = (x, y, g) => {
+    const h = heuristic(x, y, goalX, goalY);
+    gScore[y][x] = g;
+    keyOf[y][x] = order.key(g, h);
+    if (seqOf[y][x] === -1) seqOf[y][x] = nextSeq++;
+    heapPush(heap, [keyOf[y][x], seqOf[y][x], x, y], heapLess);
+    return h;
+  };
+  open(startX, startY, 0);
+
+  function step() {
+    while (heap.length > 0) {
+      const [key, , x, y] = heapPop(heap, heapLess);
+      // Skip nodes closed already and entries outdated by a better g
+      if (closedSet[y][x] || key !== keyOf[y][x]) continue;
+      closedSet[y][x] = true;
+      const g = gScore[y][x];
+      record(['close', x, y, 'c' + g, 'c' + heuristic(x, y, goalX, goalY)]);
+      if (x === goalX && y === goalY) return [x, y, true];
+      for (const [nx, ny, cost] of successors(ctx, x, y, cameFrom[y][x])) {
+        if (closedSet[ny][nx]) continue;
+        const discovered = seqOf[ny][nx] !== -1;
+        if (discovered && !(order.improve && g + cost < gScore[ny][nx])) continue;
+        cameFrom[ny][nx] = [x, y];
+        const h = open(nx, ny, g + cost);
+        record(['create', nx, ny, 'c' + (g + cost), 'c' + h]);
+      }
+      return [x, y, false];
+    }
+    return null;
+  }
+
+  function peekKey() {
+    while (heap.length > 0) {
+      const [key, , x, y] = heap[0];
+      if (!closedSet[y][x] && key === keyOf[y][x]) return key;
+      heapPop(heap, heapLess);
+    }
+    return Infinity;
+  }
+
+  return { step, peekKey, gScore, closedSet, cameFrom };
+}
+
+/**
+ * Headless run of `bestFirstSearch` until the goal is closed.
+ * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+ * @param {{ key: Function, improve: boolean }} order
+ * @returns {{ reasoning: Array, plan: Array }}
+ */
+export function solveBestFirstSync(ctx, order) {
+  const reasoning = [];
+  const search = bestFirstSearch(ctx, order, event => reasoning.push(event));
+  for (let node = search.step(); node && !node[2]; node = search.step());
+  const plan = reconstructPathInternal(search.cameFrom, ctx.startX, ctx.startY, ctx.goalX, ctx.goalY);
+  return { reasoning, plan };
+}
+
+/**
+ * Animate `bestFirstSearch` on the canvas, `stepsPerFrame` closes per frame.
+ * @param {number} token
+ * @param {object} ctx  {rows, cols, grid, startX, startY, goalX, goalY, drawCell, drawClosedCell, drawPathCell, drawMarker, stepsPerFrame, heuristic, reconstructPath, abortCheck, requestAnimationFrame}
+ * @param {{ key: Function, improve: boolean }} order
+ */
+export function animateBestFirst(token, ctx, order) {
+  const { rows, cols, startX, startY, goalX, goalY,
+          drawCell, drawClosedCell, drawPathCell, drawMarker,
+          stepsPerFrame, reconstructPath,
+          abortCheck, requestAnimationFrame } = ctx;
+  const search = bestFirstSearch(ctx, order);
+  let oldPath = [];
+  function step() {
+    if (!abortCheck(token)) return;
+    let found = false;
+    let last = null;
+    for (let i = 0; i < stepsPerFrame; i++) {
+      const node = search.step();
+      if (!node) break;
+      last = node;
+      if (node[2]) { found = true; break; }
+    }
+    if (last) {
+      const newPath = reconstructPath(search.cameFrom, last[0], last[1]);
+      for (const [px, py] of oldPath) drawCell(px, py);
+      for (let yy = 0; yy < rows; yy++) for (let xx = 0; xx < cols; xx++)
+        if (search.closedSet[yy][xx]) drawClosedCell(xx, yy);
+      for (const [px, py] of newPath) drawPathCell(px, py);
+      drawMarker(startX, startY, 'gray', 'S'); drawMarker(goalX, goalY, 'green', 'G');
+      oldPath = newPath;
+    }
+    // Keep animating until the goal is found or the open list runs dry
+    if (!found && last) requestAnimationFrame(step);
+  }
+  requestAnimationFrame(step);
+}
@@ -1,4 +1,6 @@
 // Breadth-first Search solver
+import { reconstructPathInternal } from './path.js';
+
 export const bfs = {
   name: 'Breadth-first Search',
   /**
@@ -49,5 +51,45 @@ export const bfs = {
       if (!found) requestAnimationFrame(step);
     }
     requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous BFS solver for dataset generation.  Explores in the
+   * same order as `solve` and records
+   *   create x y cD – (x, y) is discovered and enqueued at distance D
+   *   close x y cD  – (x, y) is dequeued (the last close is the goal)
+   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY }
+   * @returns {{ reasoning: Array, plan: Array }}
+   */
+  solveSync(ctx) {
+    const { rows, cols, grid, startX, startY, goalX, goalY } = ctx;
+    const dist = Array(rows).fill(null).map(() => Array(cols).fill(Infinity));
+    const cameFrom = Array(rows).fill(null).map(() => Array(cols).fill(null));
+    const closedSet = Array(rows).fill(null).map(() => Array(cols).fill(false));
+    const queued = Array(rows).fill(null).map(() => Array(cols).fill(false));
+    const openSet = [[startX, startY]];
+    dist[startY][startX] = 0;
+    queued[startY][startX] = true;
+    const reasoning = [];
+    let head = 0;
+    while (head < openSet.length) {
+      const [currentX, currentY] = openSet[head++];
+      queued[currentY][currentX] = false;
+      reasoning.push(['close', currentX, currentY, 'c' + dist[currentY][currentX]]);
+      if (currentX === goalX && currentY === goalY) break;
+      closedSet[currentY][currentX] = true;
+      const dirs = [[0,-1],[1,0],[0,1],[-1,0]];
+      for (const [dx, dy] of dirs) {
+        const nx = currentX + dx, ny = currentY + dy;
+        if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+        if (grid[ny][nx] === 0 || closedSet[ny][nx] || queued[ny][nx]) continue;
+        cameFrom[ny][nx] = [currentX, currentY];
+        dist[ny][nx] = dist[currentY][currentX] + 1;
+        queued[ny][nx] = true;
+        reasoning.push(['create', nx, ny, 'c' + dist[ny][nx]]);
+        openSet.push([nx, ny]);
+      }
+    }
+    const plan = reconstructPathInternal(cameFrom, startX, startY, goalX, goalY);
+    return { reasoning, plan };
   }
-};
\ No newline at end of file
+};
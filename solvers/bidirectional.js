@@ -0,0 +1,134 @@
+// Bidirectional BFS and A* solvers
+
+import { bestFirstSearch } from './best-first.js';
+
+// Search orders of the two frontiers and when the best meeting cost `mu`
+// can no longer be beaten, given the lowest open keys of both frontiers
+const MODES = {
+  // Breadth-first from both ends: any shorter path would have to join two
+  // open nodes whose distances add up to less than mu
+  bfs: { order: { key: g => g, improve: false }, done: (top, other, mu) => top + other >= mu },
+  // A* from both ends, each frontier heading for the other end: with an
+  // admissible heuristic either frontier's lowest f bounds every remaining path
+  astar: { order: { key: (g, h) => g + h, improve: true }, done: (top, other, mu) => Math.max(top, other) >= mu }
+};
+
+/**
+ * Search from start ('fwd') and from goal ('bwd'), closing one node on each
+ * side in turn, until the best meeting node found is provably on a shortest
+ * path (with an admissible heuristic in 'astar' mode).  Both frontiers'
+ * create/close events are passed to `record` with the side's tag after the
+ * keyword; 'bfs' mode drops the h cost.
+ *
+ * @param {object} ctx  { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+ * @param {string} mode 'bfs' | 'astar'
+ * @param {Function} [record]
+ * @returns {{ step: Function, sides: Object, meeting: Function }}
+ *   `step()` advances one side and returns false once the search is over;
+ *   `sides.fwd` / `sides.bwd` are the two `bestFirstSearch` states;
+ *   `meeting()` is the best meeting node so far as { x, y, cost } (or null)
+ */
+function bidirectionalSearch(ctx, mode, record = () => {}) {
+  const { startX, startY, goalX, goalY, heuristic } = ctx;
+  const { order, done } = MODES[mode];
+  // BFS frontiers need no heuristic, so they never evaluate the one in ctx
+  const h = mode === 'bfs' ? () => 0 : heuristic;
+  let best = null;
+
+  const sides = {};
+  const other = { fwd: 'bwd', bwd: 'fwd' };
+  const side = (tag, ends) => bestFirstSearch({ ...ctx, ...ends, heuristic: h }, order, event => {
+    const [type, x, y] = event;
+    record([type, tag, ...event.slice(1, mode === 'bfs' ? 4 : 5)]);
+    if (type !== 'create') return;
+    // A node both frontiers have reached joins a start-goal path
+    const cost = sides[tag].gScore[y][x] + sides[other[tag]].gScore[y][x];
+    if (cost < (best ? best.cost : Infinity)) best = { x, y, cost };
+  });
+  sides.fwd = side('fwd', { startX, startY, goalX, goalY });
+  sides.bwd = side('bwd', { startX: goalX, startY: goalY, goalX: startX, goalY: startY });
+  if (startX === goalX && startY === goalY) best = { x: startX, y: startY, cost: 0 };
+
+  let turn = 'fwd';
+  let over = false;
+  function step() {
+    if (over) return false;
+    const mu = best ? best.cost : Infinity;
+    if (done(sides.fwd.peekKey(), sides.bwd.peekKey(), mu)) {
+      over = true;
+      return false;
+    }
+    sides[turn].step();
+    turn = other[turn];
+    return true;
+  }
+
+  return { step, sides, meeting: () => best };
+}
+
+// Start -> meeting node along the fwd tree, then on to the goal along the bwd
+// tree; without a path the plan is [start, goal], as for A* (see path.js)
+function meetingPlan({ sides, meeting }, { startX, startY, goalX, goalY }) {
+  const meet = meeting();
+  if (!meet) return [[startX, startY], [goalX, goalY]];
+  const plan = [];
+  for (let node = [meet.x, meet.y]; node; node = sides.fwd.cameFrom[node[1]][node[0]]) plan.push(node);
+  plan.reverse();
+  for (let node = sides.bwd.cameFrom[meet.y][meet.x]; node; node = sides.bwd.cameFrom[node[1]][node[0]]) plan.push(node);
+  return plan;
+}
+
+function makeSolver(name, mode) {
+  return {
+    name,
+    /**
+     * Animate the search: cells closed from the start and from the goal are
+     * drawn in two colours, then the meeting-point path
+     * @param {number} token
+     * @param {object} ctx  {rows, cols, grid, startX, startY, goalX, goalY, drawSideCell, drawPathCell, drawMarker, stepsPerFrame, heuristic, abortCheck, requestAnimationFrame}
+     */
+    solve(token, ctx) {
+      const { rows, cols, startX, startY, goalX, goalY,
+              drawSideCell, drawPathCell, drawMarker,
+              stepsPerFrame, abortCheck, requestAnimationFrame } = ctx;
+      const search = bidirectionalSearch(ctx, mode);
+      function step() {
+        if (!abortCheck(token)) return;
+        let running = true;
+        for (let i = 0; i < stepsPerFrame && running; i++) running = search.step();
+        for (let yy = 0; yy < rows; yy++) for (let xx = 0; xx < cols; xx++) {
+          if (search.sides.fwd.closedSet[yy][xx]) drawSideCell(xx, yy, 'fwd');
+          else if (search.sides.bwd.closedSet[yy][xx]) drawSideCell(xx, yy, 'bwd');
+        }
+        if (running) {
+          requestAnimationFrame(step);
+        } else if (search.meeting()) {
+          for (const [px, py] of meetingPlan(search, ctx)) drawPathCell(px, py);
+        }
+        drawMarker(startX, startY, 'gray', 'S'); drawMarker(goalX, goalY, 'green', 'G');
+      }
+      requestAnimationFrame(step);
+    },
+    /**
+     * Headless synchronous solver for dataset generation.  Every event is
+     * tagged with its frontier, `fwd` (searching from the start) or `bwd`
+     * (from the goal), and g counts from that frontier's own end:
+     *   create fwd|bwd x y cG[ cH] – (x, y) enters that frontier's open list
+     *   close fwd|bwd x y cG[ cH]  – (x, y) is taken from that open list
+     *   meet x y cL                – the plan joins the two frontiers at (x, y); L = plan cost
+     * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+     * @returns {{ reasoning: Array, plan: Array }}
+     */
+    solveSync(ctx) {
+      const reasoning = [];
+      const search = bidirectionalSearch(ctx, mode, event => reasoning.push(event));
+      while (search.step());
+      const meet = search.meeting();
+      if (meet) reasoning.push(['meet', meet.x, meet.y, 'c' + meet.cost]);
+      return { reasoning, plan: meetingPlan(search, ctx) };
+    }
+  };
+}
+
+export const bibfs = makeSolver('Bidirectional BFS', 'bfs');
+export const biastar = makeSolver('Bidirectional A*', 'astar');
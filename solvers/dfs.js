@@ -1,4 +1,6 @@
 // Depth-first Search solver
+import { reconstructPathInternal } from './path.js';
+
 export const dfs = {
   name: 'Depth-first Search',
   /**
@@ -49,5 +51,48 @@ export const dfs = {
       if (!found) requestAnimationFrame(step);
     }
     requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous DFS solver for dataset generation.  Explores in the
+   * same order as `solve` and records
+   *   push x y      – (x, y) is pushed onto the stack
+   *   pop x y       – (x, y) is popped and expanded (the last pop is the goal)
+   *   backtrack x y – (x, y) was a dead end: it pushed nothing, so the search
+   *                   resumes from an earlier branch
+   * The plan is the DFS tree path to the goal, which need not be shortest.
+   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY }
+   * @returns {{ reasoning: Array, plan: Array }}
+   */
+  solveSync(ctx) {
+    const { rows, cols, grid, startX, startY, goalX, goalY } = ctx;
+    const cameFrom = Array(rows).fill(null).map(() => Array(cols).fill(null));
+    const closedSet = Array(rows).fill(null).map(() => Array(cols).fill(false));
+    // Stack membership, so the "already on the stack" check stays O(1)
+    const onStack = Array(rows).fill(null).map(() => Array(cols).fill(false));
+    const stack = [[startX, startY]];
+    onStack[startY][startX] = true;
+    const reasoning = [];
+    while (stack.length > 0) {
+      const [currentX, currentY] = stack.pop();
+      onStack[currentY][currentX] = false;
+      reasoning.push(['pop', currentX, currentY]);
+      if (currentX === goalX && currentY === goalY) break;
+      closedSet[currentY][currentX] = true;
+      let pushed = 0;
+      const dirs = [[0,-1],[1,0],[0,1],[-1,0]];
+      for (const [dx, dy] of dirs) {
+        const nx = currentX + dx, ny = currentY + dy;
+        if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+        if (grid[ny][nx] === 0 || closedSet[ny][nx] || onStack[ny][nx]) continue;
+        cameFrom[ny][nx] = [currentX, currentY];
+        stack.push([nx, ny]);
+        onStack[ny][nx] = true;
+        reasoning.push(['push', nx, ny]);
+        pushed++;
+      }
+      if (pushed === 0) reasoning.push(['backtrack', currentX, currentY]);
+    }
+    const plan = reconstructPathInternal(cameFrom, startX, startY, goalX, goalY);
+    return { reasoning, plan };
   }
-};
\ No newline at end of file
+};
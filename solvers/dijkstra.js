@@ -0,0 +1,30 @@
+// Dijkstra (uniform-cost search) solver
+
+import { animateBestFirst, solveBestFirstSync } from './best-first.js';
+
+// Close the open node with the lowest cost so far (g), re-creating nodes
+// whose g improves; h is only recorded, never used for ordering
+const DIJKSTRA = { key: (g, h) => g, improve: true };
+
+export const dijkstra = {
+  name: 'Dijkstra',
+  /**
+   * Solve maze using Dijkstra's algorithm
+   * @param {number} token
+   * @param {object} ctx  {rows, cols, grid, startX, startY, goalX, goalY, drawCell, drawClosedCell, drawPathCell, drawMarker, stepsPerFrame, heuristic, reconstructPath, abortCheck, requestAnimationFrame}
+   */
+  solve(token, ctx) {
+    animateBestFirst(token, ctx, DIJKSTRA);
+  },
+  /**
+   * Headless synchronous Dijkstra solver for dataset generation.  Records
+   * A*-style events, but closes by g alone:
+   *   create x y cG cH – (x, y) enters the open list, or its g improves
+   *   close x y cG cH  – (x, y) has the lowest g in the open list (the last close is the goal)
+   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+   * @returns {{ reasoning: Array, plan: Array }}
+   */
+  solveSync(ctx) {
+    return solveBestFirstSync(ctx, DIJKSTRA);
+  }
+};
@@ -0,0 +1,30 @@
+// Greedy best-first solver
+
+import { animateBestFirst, solveBestFirstSync } from './best-first.js';
+
+// Close the open node that looks closest to the goal (lowest h), ignoring
+// the cost so far; nodes are never re-created, so plans need not be shortest
+const GREEDY = { key: (g, h) => h, improve: false };
+
+export const greedy = {
+  name: 'Greedy Best-first',
+  /**
+   * Solve maze using greedy best-first search
+   * @param {number} token
+   * @param {object} ctx  {rows, cols, grid, startX, startY, goalX, goalY, drawCell, drawClosedCell, drawPathCell, drawMarker, stepsPerFrame, heuristic, reconstructPath, abortCheck, requestAnimationFrame}
+   */
+  solve(token, ctx) {
+    animateBestFirst(token, ctx, GREEDY);
+  },
+  /**
+   * Headless synchronous greedy best-first solver for dataset generation.
+   * Records A*-style events, but closes by h alone:
+   *   create x y cG cH – (x, y) is discovered at cost G from the start
+   *   close x y cG cH  – (x, y) has the lowest h in the open list (the last close is the goal)
+   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+   * @returns {{ reasoning: Array, plan: Array }}
+   */
+  solveSync(ctx) {
+    return solveBestFirstSync(ctx, GREEDY);
+  }
+};
@@ -0,0 +1,43 @@
+// Binary min-heap on a plain array, shared by the heap-based solvers.  The
+// caller supplies `less(a, b)`, which decides the order of the entries.
+
+/**
+ * @param {Array} heap
+ * @param {*} entry
+ * @param {(a: *, b: *) => boolean} less
+ */
+export function heapPush(heap, entry, less) {
+  let i = heap.length;
+  heap.push(entry);
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!less(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+/**
+ * Remove and return the smallest entry.
+ * @param {Array} heap  non-empty
+ * @param {(a: *, b: *) => boolean} less
+ * @returns {*}
+ */
+export function heapPop(heap, less) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let min = i;
+      if (l < heap.length && less(heap[l], heap[min])) min = l;
+      if (r < heap.length && less(heap[r], heap[min])) min = r;
+      if (min === i) break;
+      [heap[i], heap[min]] = [heap[min], heap[i]];
+      i = min;
+    }
+  }
+  return top;
+}
@@ -0,0 +1,137 @@
+// Iterative-deepening A* (IDA*) solver
+import { bfs } from './bfs.js';
+
+const DIRS = [[0,-1],[1,0],[0,1],[-1,0]];
+
+/**
+ * Incremental IDA*: depth-first searches from the start that only enter
+ * nodes with f = g + h within the current bound, raising the bound to the
+ * smallest f that exceeded it after every unsuccessful iteration.  Only the
+ * current path is remembered, so nodes are re-expanded on every iteration
+ * (and along every path that reaches them within the bound).
+ *
+ * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+ * @param {Function} [record]  receives every bound/expand event
+ * @returns {{ step: Function, path: Array, visited: Uint8Array }}
+ *   `step()` advances to the next expansion (or to the end of the current
+ *   iteration) and returns 'expand' while the search goes on, then 'found'
+ *   (the goal was expanded) or 'none' (no path); `path` is the current DFS
+ *   path and `visited` flags the cells expanded in the current iteration
+ */
+function idaSearch(ctx, record = () => {}) {
+  const { rows, cols, grid, startX, startY, goalX, goalY, heuristic } = ctx;
+  const onPath = new Uint8Array(rows * cols);
+  const visited = new Uint8Array(rows * cols);
+  const path = [];
+  // DFS frames: [x, y, g, index of the next direction to try]
+  const stack = [];
+  let bound = heuristic(startX, startY, goalX, goalY);
+  let next = Infinity;
+  let done = null;
+
+  // Enter (x, y) at cost g; false if the goal was reached
+  function expand(x, y, g) {
+    record(['expand', x, y, 'c' + g, 'c' + heuristic(x, y, goalX, goalY)]);
+    onPath[y * cols + x] = 1;
+    visited[y * cols + x] = 1;
+    path.push([x, y]);
+    stack.push([x, y, g, 0]);
+    return x !== goalX || y !== goalY;
+  }
+
+  function startIteration() {
+    record(['bound', 'c' + bound]);
+    next = Infinity;
+    visited.fill(0);
+    return expand(startX, startY, 0);
+  }
+
+  function step() {
+    if (done) return done;
+    if (stack.length === 0 && !startIteration()) return (done = 'found');
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      if (frame[3] === DIRS.length) {
+        stack.pop();
+        path.pop();
+        onPath[frame[1] * cols + frame[0]] = 0;
+        continue;
+      }
+      const [dx, dy] = DIRS[frame[3]++];
+      const nx = frame[0] + dx, ny = frame[1] + dy;
+      if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+      if (grid[ny][nx] === 0 || onPath[ny * cols + nx]) continue;
+      const g = frame[2] + 1;
+      const f = g + heuristic(nx, ny, goalX, goalY);
+      if (f > bound) {
+        next = Math.min(next, f);
+        continue;
+      }
+      return expand(nx, ny, g) ? 'expand' : (done = 'found');
+    }
+    // Iteration over: nothing beyond the bound means the goal is unreachable
+    if (next === Infinity) return (done = 'none');
+    bound = next;
+    return 'expand';
+  }
+
+  return { step, path, visited };
+}
+
+export const idastar = {
+  name: 'IDA*',
+  /**
+   * Solve maze using iterative-deepening A*, redrawing the cells expanded in
+   * the current iteration so each threshold starts from a clean maze
+   * @param {number} token
+   * @param {object} ctx  {rows, cols, grid, startX, startY, goalX, goalY, drawCell, drawClosedCell, drawPathCell, drawMarker, stepsPerFrame, heuristic, abortCheck, requestAnimationFrame}
+   */
+  solve(token, ctx) {
+    const { rows, cols, grid, startX, startY, goalX, goalY,
+            drawCell, drawClosedCell, drawPathCell, drawMarker,
+            stepsPerFrame, abortCheck, requestAnimationFrame } = ctx;
+    const search = idaSearch(ctx);
+    function step() {
+      if (!abortCheck(token)) return;
+      let status = 'expand';
+      for (let i = 0; i < stepsPerFrame && status === 'expand'; i++) status = search.step();
+      for (let yy = 0; yy < rows; yy++) for (let xx = 0; xx < cols; xx++) {
+        if (grid[yy][xx] === 0) continue;
+        if (search.visited[yy * cols + xx]) drawClosedCell(xx, yy);
+        else drawCell(xx, yy);
+      }
+      for (const [px, py] of search.path) drawPathCell(px, py);
+      drawMarker(startX, startY, 'gray', 'S'); drawMarker(goalX, goalY, 'green', 'G');
+      if (status === 'expand') requestAnimationFrame(step);
+    }
+    requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous IDA* for dataset generation.  Records
+   *   bound cN        – a new iteration starts with f threshold N
+   *   expand x y cG cH – (x, y) is entered with cost G from the start and
+   *                      heuristic H (the last expand is the goal)
+   *   giveup          – the trace reached `maxTrace` events first (a new
+   *                      iteration may add its bound and first expand at once)
+   * The plan is the DFS path to the goal; after a giveup it is the shortest
+   * path, as for the random solver.
+   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic, maxTrace }
+   *   maxTrace defaults to 100 × rows × cols
+   * @returns {{ reasoning: Array, plan: Array, gaveUp: boolean }}
+   */
+  solveSync(ctx) {
+    const { rows, cols, startX, startY, goalX, goalY, maxTrace = 100 * rows * cols } = ctx;
+    const reasoning = [];
+    const search = idaSearch(ctx, event => reasoning.push(event));
+    let status = 'expand';
+    while (status === 'expand' && reasoning.length < maxTrace) status = search.step();
+    const gaveUp = status !== 'found' && status !== 'none';
+    if (gaveUp) {
+      reasoning.push(['giveup']);
+      return { reasoning, plan: bfs.solveSync(ctx).plan, gaveUp };
+    }
+    // Without a path the plan is [start, goal], as for the other solvers (see path.js)
+    const plan = status === 'found' ? search.path.slice() : [[startX, startY], [goalX, goalY]];
+    return { reasoning, plan, gaveUp };
+  }
+};
@@ -0,0 +1,141 @@
+// Jump point search (JPS) solver, 4-connected variant
+
+import { bestFirstSearch } from './best-first.js';
+
+const DIRS = [[0,-1],[1,0],[0,1],[-1,0]];
+
+function isOpen({ rows, cols, grid }, x, y) {
+  return x >= 0 && x < cols && y >= 0 && y < rows && grid[y][x] !== 0;
+}
+
+// Shortest paths are taken in canonical form: a vertical move comes before
+// a horizontal one wherever both orders are possible.  A horizontal scan thus
+// only stops at the goal or where a vertical move opens up that the previous
+// cell could not make (a forced neighbour), and a vertical scan stops at the
+// goal or where a horizontal scan from it finds a jump point.
+
+// Scan from (x, y) along row y in direction dx; the first jump point or null
+function jumpHorizontal(ctx, x, y, dx) {
+  for (;;) {
+    x += dx;
+    if (!isOpen(ctx, x, y)) return null;
+    if (x === ctx.goalX && y === ctx.goalY) return [x, y];
+    for (const dy of [-1, 1]) {
+      if (isOpen(ctx, x, y + dy) && !isOpen(ctx, x - dx, y + dy)) return [x, y];
+    }
+  }
+}
+
+// Scan from (x, y) along column x in direction dy; the first jump point or null
+function jumpVertical(ctx, x, y, dy) {
+  for (;;) {
+    y += dy;
+    if (!isOpen(ctx, x, y)) return null;
+    if (x === ctx.goalX && y === ctx.goalY) return [x, y];
+    if (jumpHorizontal(ctx, x, y, -1) || jumpHorizontal(ctx, x, y, 1)) return [x, y];
+  }
+}
+
+// Jump points reachable from (x, y) in the directions left after pruning:
+// all four at the start; straight on and sideways after a vertical jump;
+// straight on and the forced vertical moves after a horizontal jump
+function jumpSuccessors(ctx, x, y, parent) {
+  let dirs = DIRS;
+  if (parent) {
+    const dx = Math.sign(x - parent[0]), dy = Math.sign(y - parent[1]);
+    dirs = dx === 0
+      ? [[0, dy], [-1, 0], [1, 0]]
+      : [[dx, 0], ...[-1, 1].filter(d => isOpen(ctx, x, y + d) && !isOpen(ctx, x - dx, y + d)).map(d => [0, d])];
+  }
+  const successors = [];
+  for (const [dx, dy] of dirs) {
+    const jump = dx !== 0 ? jumpHorizontal(ctx, x, y, dx) : jumpVertical(ctx, x, y, dy);
+    if (jump) successors.push([jump[0], jump[1], Math.abs(jump[0] - x) + Math.abs(jump[1] - y)]);
+  }
+  return successors;
+}
+
+// A* over jump points: f = g + h, where g adds up the lengths of the jumps
+const JPS = { key: (g, h) => g + h, improve: true, successors: jumpSuccessors };
+
+// Jump points from the start to (x, y), following cameFrom
+function jumpPath(cameFrom, x, y) {
+  const path = [];
+  for (let node = [x, y]; node; node = cameFrom[node[1]][node[0]]) path.push(node);
+  return path.reverse();
+}
+
+// Fill in the cells of the straight segments between consecutive jump points
+function expandJumps(jumps) {
+  const cells = [jumps[0]];
+  for (let i = 1; i < jumps.length; i++) {
+    let [x, y] = jumps[i - 1];
+    const [tx, ty] = jumps[i];
+    const dx = Math.sign(tx - x), dy = Math.sign(ty - y);
+    while (x !== tx || y !== ty) {
+      x += dx; y += dy;
+      cells.push([x, y]);
+    }
+  }
+  return cells;
+}
+
+export const jps = {
+  name: 'Jump Point Search',
+  /**
+   * Solve maze using jump point search: every jump is drawn as a line from
+   * the jump point it starts at, closed jump points in dark gray
+   * @param {number} token
+   * @param {object} ctx  {rows, cols, grid, startX, startY, goalX, goalY, drawClosedCell, drawJump, drawPathCell, drawMarker, stepsPerFrame, heuristic, abortCheck, requestAnimationFrame}
+   */
+  solve(token, ctx) {
+    const { startX, startY, goalX, goalY,
+            drawClosedCell, drawJump, drawPathCell, drawMarker,
+            stepsPerFrame, abortCheck, requestAnimationFrame } = ctx;
+    const events = [];
+    const search = bestFirstSearch(ctx, JPS, event => events.push(event));
+    function step() {
+      if (!abortCheck(token)) return;
+      let node = null;
+      for (let i = 0; i < stepsPerFrame; i++) {
+        node = search.step();
+        if (!node || node[2]) break;
+      }
+      // Closed jump points first, so that the jumps stay visible on top
+      for (const [type, x, y] of events) if (type === 'close') drawClosedCell(x, y);
+      for (const [type, x, y] of events) {
+        if (type !== 'create') continue;
+        const [px, py] = search.cameFrom[y][x];
+        drawJump(px, py, x, y);
+      }
+      events.length = 0;
+      if (node && node[2]) {
+        for (const [px, py] of expandJumps(jumpPath(search.cameFrom, goalX, goalY))) drawPathCell(px, py);
+      }
+      drawMarker(startX, startY, 'gray', 'S'); drawMarker(goalX, goalY, 'green', 'G');
+      // Keep animating until the goal is found or the open list runs dry
+      if (node && !node[2]) requestAnimationFrame(step);
+    }
+    requestAnimationFrame(step);
+  },
+  /**
+   * Headless synchronous JPS for dataset generation.  Records A*-style
+   * events over jump points only, so the cells a jump passes are never listed:
+   *   create x y cG cH – jump point (x, y) enters the open list, or its g
+   *                      improves; G = cost from the start along the jumps
+   *   close x y cG cH  – (x, y) has minimal f = g + h (the last close is the goal)
+   * The plan lists every cell of the path, as for A*.
+   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, heuristic }
+   * @returns {{ reasoning: Array, plan: Array }}
+   */
+  solveSync(ctx) {
+    const { startX, startY, goalX, goalY } = ctx;
+    const reasoning = [];
+    const search = bestFirstSearch(ctx, JPS, event => reasoning.push(event));
+    let node = search.step();
+    while (node && !node[2]) node = search.step();
+    // Without a path the plan is [start, goal], as for A* (see path.js)
+    const plan = node ? expandJumps(jumpPath(search.cameFrom, goalX, goalY)) : [[startX, startY], [goalX, goalY]];
+    return { reasoning, plan };
+  }
+};
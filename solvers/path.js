@@ -0,0 +1,25 @@
+// Path reconstruction shared by the headless solvers
+
+/**
+ * Reconstruct the plan from start to goal by following a cameFrom map back
+ * from the goal.  When the goal was never reached the walk stops at once and
+ * the plan is [start, goal].
+ * @param {Array<Array<[number, number]|null>>} cameFrom  predecessor of every cell, or null
+ * @param {number} startX
+ * @param {number} startY
+ * @param {number} goalX
+ * @param {number} goalY
+ * @returns {Array<[number, number]>}
+ */
+export function reconstructPathInternal(cameFrom, startX, startY, goalX, goalY) {
+  const path = [];
+  let x = goalX, y = goalY;
+  while (x !== startX || y !== startY) {
+    path.push([x, y]);
+    const prev = cameFrom[y][x];
+    if (!prev) break;
+    [x, y] = prev;
+  }
+  path.push([startX, startY]);
+  return path.reverse();
+}
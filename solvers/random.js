@@ -1,4 +1,23 @@
 // Random Walk solver
+import { bfs } from './bfs.js';
+
+// Erase loops from a walk in visiting order, leaving a simple path
+function loopErase(walk, cols) {
+  const path = [];
+  const indexOf = new Map();
+  for (const [x, y] of walk) {
+    const key = y * cols + x;
+    if (indexOf.has(key)) {
+      // Cut the loop that returned here
+      for (const [px, py] of path.splice(indexOf.get(key) + 1)) indexOf.delete(py * cols + px);
+    } else {
+      indexOf.set(key, path.length);
+      path.push([x, y]);
+    }
+  }
+  return path;
+}
+
 export const random = {
   name: 'Random Walk',
   /**
@@ -103,5 +122,50 @@ export const random = {
     }
     // Start animated run with one move per 100ms
     setTimeout(step, 100);
+  },
+  /**
+   * Headless random walk for dataset generation.  Moves like `solve` (uniform
+   * random direction, retried until it is not a wall) but draws from the
+   * seeded `prng`, and records
+   *   step x y – the walker moves to (x, y)
+   *   giveup   – the step cap was hit before reaching the goal
+   * With `loopErase` the recorded walk is loop-erased first.  The plan is
+   * always the shortest path, so the trace carries no information about it.
+   * @param {object} ctx { rows, cols, grid, startX, startY, goalX, goalY, prng, maxSteps, loopErase }
+   *   maxSteps defaults to 10 × rows × cols
+   * @returns {{ reasoning: Array, plan: Array, gaveUp: boolean }}
+   */
+  solveSync(ctx) {
+    const { rows, cols, grid, startX, startY, goalX, goalY, prng,
+            maxSteps = 10 * rows * cols, loopErase: erase = false } = ctx;
+    if (typeof prng !== 'function') {
+      throw new Error('random.solveSync requires a seeded prng');
+    }
+    const dirs = [[0,-1],[1,0],[0,1],[-1,0]];
+    const open = (x, y) => x >= 0 && x < cols && y >= 0 && y < rows && grid[y][x] !== 0;
+    const walk = [[startX, startY]];
+    let cx = startX, cy = startY;
+    // A walled-in start would make the retry loop spin forever
+    const stuck = !dirs.some(([dx, dy]) => open(cx + dx, cy + dy));
+    let steps = 0;
+    while ((cx !== goalX || cy !== goalY) && steps < maxSteps && !stuck) {
+      let nx, ny;
+      do {
+        const [dx, dy] = dirs[Math.floor(prng() * dirs.length)];
+        nx = cx + dx;
+        ny = cy + dy;
+      } while (!open(nx, ny));
+      cx = nx;
+      cy = ny;
+      walk.push([cx, cy]);
+      steps++;
+    }
+    const gaveUp = cx !== goalX || cy !== goalY;
+    const visited = erase ? loopErase(walk, cols) : walk;
+    // The start is implied by the prompt
+    const reasoning = visited.slice(1).map(([x, y]) => ['step', x, y]);
+    if (gaveUp) reasoning.push(['giveup']);
+    const { plan } = bfs.solveSync(ctx);
+    return { reasoning, plan, gaveUp };
   }
-};
\ No newline at end of file
+};
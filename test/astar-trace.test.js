@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAStarTrace } from '../solvers/astar-trace.js';
+import { astar } from '../solvers/astar.js';
+import { mazes, unreachableMaze } from './mazes.js';
+
+const trace = (ctx, params = {}) => astar.solveSync({ ...ctx, ...params }).reasoning;
+const copy = reasoning => reasoning.map(ev => ev.slice());
+
+test('A* traces are valid at both tie-break levels', () => {
+  for (const generatorId of ['wilson', 'cellular_automata']) {
+    for (const ctx of mazes(generatorId)) {
+      const reasoning = trace(ctx);
+      assert.deepEqual(validateAStarTrace(ctx, reasoning, { tieBreak: 'insertion' }), { valid: true });
+      assert.deepEqual(validateAStarTrace(ctx, reasoning), { valid: true });
+    }
+  }
+});
+
+test('traces of other heuristics are valid against that heuristic', () => {
+  for (const ctx of mazes('drunkards_walk', { heuristic: 'euclidean' })) {
+    assert.deepEqual(validateAStarTrace(ctx, trace(ctx), { tieBreak: 'insertion' }), { valid: true });
+  }
+});
+
+test('exhausting the open list is valid when the goal is unreachable', () => {
+  const ctx = unreachableMaze();
+  assert.deepEqual(validateAStarTrace(ctx, trace(ctx), { tieBreak: 'insertion' }), { valid: true });
+});
+
+test('other tie-break policies pass "any" but not always "insertion"', () => {
+  let outOfOrder = 0;
+  for (const ctx of mazes('cellular_automata')) {
+    const reasoning = trace(ctx, { astarTiebreak: 'lifo' });
+    assert.deepEqual(validateAStarTrace(ctx, reasoning), { valid: true });
+    if (!validateAStarTrace(ctx, reasoning, { tieBreak: 'insertion' }).valid) outOfOrder++;
+  }
+  assert.ok(outOfOrder > 0);
+});
+
+test('invalid traces are rejected at the first illegal event', () => {
+  const [ctx] = mazes('kruskal', { count: 1 });
+  const reasoning = trace(ctx);
+  const firstCreate = reasoning.findIndex(ev => ev[0] === 'create');
+  const secondClose = reasoning.findIndex((ev, i) => i > 0 && ev[0] === 'close');
+
+  const cases = {
+    'wrong g cost': r => { r[firstCreate][3] = 'c7'; return firstCreate; },
+    'wrong h cost': r => { r[0][4] = 'c99'; return 0; },
+    // The expansion's remaining creates pass; the next close finds one missing
+    'missing create': r => { r.splice(firstCreate, 1); return r.findIndex((ev, i) => i >= firstCreate && ev[0] === 'close'); },
+    'close of a node never created': r => { r[secondClose][1] = ctx.goalX; r[secondClose][2] = ctx.goalY; return secondClose; },
+    'malformed event': r => { r[0] = ['close', 0]; return 0; },
+    'event after the goal': r => { r.push(r[0].slice()); return r.length - 1; },
+    'trace ending early': r => { r.length = secondClose; return secondClose; }
+  };
+  for (const [name, mutate] of Object.entries(cases)) {
+    const broken = copy(reasoning);
+    const index = mutate(broken);
+    const result = validateAStarTrace(ctx, broken);
+    assert.equal(result.valid, false, name);
+    assert.equal(result.index, index, `${name}: ${result.reason}`);
+  }
+});
+
+test('closing a node with a non-minimal f is rejected', () => {
+  // Open corridor: closing the far end before the node next to the start skips f order
+  const grid = [[1, 1, 1, 1, 1]];
+  const ctx = { rows: 1, cols: 5, grid, startX: 2, startY: 0, goalX: 4, goalY: 0, heuristic: (x, y, gx, gy) => Math.abs(x - gx) + Math.abs(y - gy) };
+  const reasoning = [
+    ['close', 2, 0, 'c0', 'c2'],
+    ['create', 3, 0, 'c1', 'c1'],
+    ['create', 1, 0, 'c1', 'c3'],
+    ['close', 1, 0, 'c1', 'c3']
+  ];
+  const result = validateAStarTrace(ctx, reasoning);
+  assert.equal(result.valid, false);
+  assert.equal(result.index, 3);
+  assert.match(result.reason, /non-minimal f/);
+});
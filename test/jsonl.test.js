@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { DatasetWriter, readJsonl } from '../headless_gen/jsonl.js';
+
+const LINES = [{ text: 'query start 0 0 goal 1 0 reasoning solution end' }, { text: 'second', component: 'dfs' }];
+
+async function writeAndRead(name, compress, { syncAfterFirst = false } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maze-jsonl-'));
+  const file = path.join(dir, name);
+  try {
+    const writer = new DatasetWriter({ path: file, compress });
+    for (const [i, obj] of LINES.entries()) {
+      await writer.write(JSON.stringify(obj) + '\n');
+      if (syncAfterFirst && i === 0) await writer.sync();
+    }
+    await writer.close();
+    const records = [];
+    for await (const { obj } of readJsonl(file)) records.push(obj);
+    return { records, bytes: fs.readFileSync(file) };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('plain JSONL round-trips', async () => {
+  const { records } = await writeAndRead('plain.jsonl', false);
+  assert.deepEqual(records, LINES);
+});
+
+test('gzip output is read back transparently', async () => {
+  const { records, bytes } = await writeAndRead('data.jsonl.gz', true);
+  assert.deepEqual(records, LINES);
+  assert.equal(zlib.gunzipSync(bytes).toString(), LINES.map(l => JSON.stringify(l) + '\n').join(''));
+});
+
+test('gzip output synced mid-way (several members) decompresses to the same lines', async () => {
+  const { records } = await writeAndRead('data.jsonl.gz', true, { syncAfterFirst: true });
+  assert.deepEqual(records, LINES);
+});
+
+test('gzip is detected from the content, not the file name', async () => {
+  const { records } = await writeAndRead('no-extension', true);
+  assert.deepEqual(records, LINES);
+});
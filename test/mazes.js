@@ -0,0 +1,46 @@
+// Maze fixtures shared by the tests
+
+import { generators } from '../generators.js';
+import { seedLCG } from '../headless_gen/rng.js';
+import { makeHeuristic } from '../heuristics.js';
+
+/**
+ * Solver contexts for `count` seeded mazes of one generator.
+ * @param {string} generatorId
+ * @param {{ count?: number, rows?: number, cols?: number, seed?: number, heuristic?: string }} [options]
+ * @returns {Array<Object>} { rows, cols, grid, startX, startY, goalX, goalY, heuristic, prng }
+ */
+export function mazes(generatorId, { count = 10, rows = 15, cols = 15, seed = 1, heuristic = 'manhattan' } = {}) {
+  const contexts = [];
+  for (let i = 0; i < count; i++) {
+    const prng = seedLCG(seed * 1000 + i);
+    const spec = generators[generatorId].generateSync({ rows, cols, prng });
+    contexts.push({ rows, cols, ...spec, heuristic: makeHeuristic(heuristic), prng: seedLCG(i) });
+  }
+  return contexts;
+}
+
+/**
+ * A 5×5 maze whose goal is walled off from the start by column 2.
+ * @returns {Object} solver context
+ */
+export function unreachableMaze() {
+  const grid = Array(5).fill(null).map(() => [1, 1, 0, 1, 1]);
+  return { rows: 5, cols: 5, grid, startX: 0, startY: 2, goalX: 4, goalY: 2,
+           heuristic: makeHeuristic('manhattan'), prng: seedLCG(7) };
+}
+
+/**
+ * Whether `plan` walks from start to goal through adjacent open cells.
+ * @param {Object} ctx
+ * @param {Array<[number, number]>} plan
+ * @returns {boolean}
+ */
+export function isValidPlan({ grid, startX, startY, goalX, goalY }, plan) {
+  if (plan.length === 0) return false;
+  const [fx, fy] = plan[0];
+  const [lx, ly] = plan[plan.length - 1];
+  if (fx !== startX || fy !== startY || lx !== goalX || ly !== goalY) return false;
+  return plan.every(([x, y], i) => grid[y] && grid[y][x] === 1 &&
+    (i === 0 || Math.abs(x - plan[i - 1][0]) + Math.abs(y - plan[i - 1][1]) === 1));
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExample, parseText, ParseError } from '../headless_gen/parser.js';
+import { serializeExample } from '../headless_gen/serializer.js';
+import { solvers } from '../solvers.js';
+import { mazes } from './mazes.js';
+
+function line(ctx, solverId, metadata = {}, params = {}) {
+  const { grid, startX, startY, goalX, goalY } = ctx;
+  const solution = solvers[solverId].solveSync({ ...ctx, ...params });
+  return serializeExample({ spec: { grid, startX, startY, goalX, goalY }, solution, metadata });
+}
+
+function roundTrip(text, size) {
+  const { spec, reasoning, plan, metadata } = parseExample(text, size);
+  return serializeExample({ spec, solution: { reasoning, plan }, metadata });
+}
+
+for (const solverId of ['astar', 'bfs', 'dfs', 'random', 'bibfs', 'biastar', 'idastar', 'jps']) {
+  test(`${solverId} lines re-serialize byte for byte`, () => {
+    for (const ctx of mazes('wilson', { count: 5 })) {
+      const original = line(ctx, solverId, { component: 'wilson' });
+      assert.equal(roundTrip(original, ctx), original);
+    }
+  });
+}
+
+test('giveup events round-trip', () => {
+  const [ctx] = mazes('kruskal', { count: 1 });
+  const original = line(ctx, 'idastar', {}, { maxTrace: 3 });
+  assert.match(original, / giveup solution /);
+  assert.equal(roundTrip(original, ctx), original);
+});
+
+test('parsing restores the maze, the trace and the metadata', () => {
+  const [ctx] = mazes('dfs', { count: 1 });
+  const parsed = parseExample(line(ctx, 'astar', { tiebreak: 'lifo' }, { astarTiebreak: 'lifo' }), ctx);
+  assert.deepEqual(parsed.spec.grid, ctx.grid);
+  assert.deepEqual([parsed.spec.startX, parsed.spec.startY], [ctx.startX, ctx.startY]);
+  assert.deepEqual(parsed.reasoning[0], ['close', ctx.startX, ctx.startY, 'c0', `c${ctx.heuristic(ctx.startX, ctx.startY, ctx.goalX, ctx.goalY)}`]);
+  assert.deepEqual(parsed.metadata, { tiebreak: 'lifo' });
+});
+
+test('the grid size is inferred from the largest coordinate when omitted', () => {
+  const { spec } = parseText('query start 0 0 goal 2 1 wall 1 0 reasoning solution plan 0 0 end');
+  assert.equal(spec.grid.length, 2);
+  assert.equal(spec.grid[0].length, 3);
+});
+
+test('malformed text throws a ParseError at the offending token', () => {
+  const bad = [
+    ['query start 0 0 goal 1 0 reasoning jump 0 0 solution end', 8],     // unknown keyword
+    ['query start 0 0 goal 1 x reasoning solution end', 6],               // not a coordinate
+    ['query start 0 0 goal 1 0 wall 1 1 wall 0 1 reasoning solution end', 11], // walls out of order
+    ['query start 0 0 goal 1 0 reasoning solution plan 0 0', 12]          // missing end
+  ];
+  for (const [text, tokenIndex] of bad) {
+    assert.throws(() => parseText(text, { rows: 2, cols: 2 }), err => {
+      assert.ok(err instanceof ParseError, text);
+      assert.equal(err.tokenIndex, tokenIndex, text);
+      // Offset of the token, or the end of the text when it is missing
+      assert.equal(err.offset, Math.min(text.split(' ').slice(0, tokenIndex).join(' ').length + 1, text.length), text);
+      return true;
+    });
+  }
+});
+
+test('coordinates outside the given grid are rejected', () => {
+  assert.throws(() => parseText('query start 0 0 goal 5 0 reasoning solution end', { rows: 2, cols: 2 }), ParseError);
+});
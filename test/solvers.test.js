@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solvers } from '../solvers.js';
+import { seedLCG } from '../headless_gen/rng.js';
+import { heuristics, makeHeuristic } from '../heuristics.js';
+import { mazes, unreachableMaze, isValidPlan } from './mazes.js';
+
+// Perfect mazes and open caves (many equally short paths)
+const GENERATORS = ['wilson', 'kruskal', 'cellular_automata', 'drunkards_walk'];
+
+// BFS plans are shortest paths, the reference for every optimal solver
+function checkOptimal(solverId, params = {}) {
+  for (const generatorId of GENERATORS) {
+    for (const ctx of mazes(generatorId)) {
+      const reference = solvers.bfs.solveSync(ctx).plan;
+      if (!isValidPlan(ctx, reference)) continue;  // goal walled off (caves)
+      const { plan } = solvers[solverId].solveSync({ ...ctx, ...params });
+      assert.ok(isValidPlan(ctx, plan), `${solverId} on ${generatorId}: invalid plan`);
+      assert.equal(plan.length, reference.length, `${solverId} on ${generatorId}: plan is not a shortest path`);
+    }
+  }
+}
+
+// Without a path every solver's plan is [start, goal]
+function checkNoPath(solverId, params = {}) {
+  const ctx = unreachableMaze();
+  const { plan } = solvers[solverId].solveSync({ ...ctx, ...params });
+  assert.deepEqual(plan, [[ctx.startX, ctx.startY], [ctx.goalX, ctx.goalY]]);
+}
+
+test('random: the walk reaches the goal and the plan is a shortest path', () => {
+  for (const ctx of mazes('kruskal')) {
+    const { reasoning, plan, gaveUp } = solvers.random.solveSync({ ...ctx, maxSteps: 1e6 });
+    assert.equal(gaveUp, false);
+    assert.deepEqual(reasoning[reasoning.length - 1], ['step', ctx.goalX, ctx.goalY]);
+    assert.equal(plan.length, solvers.bfs.solveSync(ctx).plan.length);
+  }
+});
+
+test('random: the same prng seed gives the same walk', () => {
+  const [ctx] = mazes('wilson', { count: 1 });
+  const walk = () => solvers.random.solveSync({ ...ctx, prng: seedLCG(3) }).reasoning;
+  assert.deepEqual(walk(), walk());
+});
+
+test('random: hitting the step cap gives up', () => {
+  const [ctx] = mazes('wilson', { count: 1 });
+  const { reasoning, plan, gaveUp } = solvers.random.solveSync({ ...ctx, maxSteps: 2 });
+  assert.equal(gaveUp, true);
+  assert.equal(reasoning.length, 3);
+  assert.deepEqual(reasoning[2], ['giveup']);
+  assert.ok(isValidPlan(ctx, plan));
+});
+
+test('random: a loop-erased walk visits no cell twice', () => {
+  for (const ctx of mazes('drunkards_walk')) {
+    const { reasoning } = solvers.random.solveSync({ ...ctx, loopErase: true });
+    const cells = reasoning.filter(ev => ev[0] === 'step').map(([, x, y]) => `${x},${y}`);
+    assert.equal(new Set(cells).size, cells.length);
+  }
+});
+
+test('astar: plans are shortest paths', () => checkOptimal('astar'));
+
+test('astar: the heap and linear open lists give identical traces', () => {
+  for (const generatorId of GENERATORS) {
+    for (const ctx of mazes(generatorId, { count: 5 })) {
+      assert.deepEqual(solvers.astar.solveSync({ ...ctx, astarImpl: 'linear' }), solvers.astar.solveSync(ctx));
+    }
+  }
+});
+
+test('bfs and dfs: plans are valid', () => {
+  for (const ctx of mazes('cellular_automata')) {
+    const reachable = isValidPlan(ctx, solvers.bfs.solveSync(ctx).plan);
+    assert.equal(isValidPlan(ctx, solvers.dfs.solveSync(ctx).plan), reachable);
+  }
+});
+
+for (const solverId of ['astar', 'bfs', 'dfs']) {
+  test(`${solverId}: unreachable goal gives the [start, goal] plan`, () => checkNoPath(solverId));
+}
+
+for (const policy of ['lifo', 'lowest-h', 'highest-g', 'random']) {
+  test(`astar --astar-tiebreak ${policy}: plans stay shortest paths`, () => checkOptimal('astar', { astarTiebreak: policy }));
+}
+
+test('astar: the random tie-break policy is reproducible from the prng seed', () => {
+  const [ctx] = mazes('cellular_automata', { count: 1 });
+  const run = () => solvers.astar.solveSync({ ...ctx, astarTiebreak: 'random', prng: seedLCG(5) }).reasoning;
+  assert.deepEqual(run(), run());
+});
+
+test('astar: the linear open list refuses tie-break policies', () => {
+  const [ctx] = mazes('wilson', { count: 1 });
+  assert.throws(() => solvers.astar.solveSync({ ...ctx, astarImpl: 'linear', astarTiebreak: 'lifo' }));
+});
+
+for (const id of ['zero', 'euclidean', 'chebyshev']) {
+  test(`astar --heuristic ${id}: admissible, so plans stay shortest paths`, () => checkOptimal('astar', { heuristic: makeHeuristic(id) }));
+}
+
+test('every heuristic writes whole-number cost tokens', () => {
+  for (const id of Object.keys(heuristics)) {
+    const heuristic = makeHeuristic(id, { weight: 1.5, prng: seedLCG(1) });
+    for (const ctx of mazes('drunkards_walk', { count: 3 })) {
+      for (const ev of solvers.astar.solveSync({ ...ctx, heuristic }).reasoning) {
+        assert.match(`${ev[3]} ${ev[4]}`, /^c\d+ c\d+$/, `${id}: ${ev.join(' ')}`);
+      }
+    }
+  }
+});
+
+test('dijkstra: plans are shortest paths', () => checkOptimal('dijkstra'));
+
+test('greedy: plans are valid paths', () => {
+  for (const generatorId of GENERATORS) {
+    for (const ctx of mazes(generatorId)) {
+      const reachable = isValidPlan(ctx, solvers.bfs.solveSync(ctx).plan);
+      assert.equal(isValidPlan(ctx, solvers.greedy.solveSync(ctx).plan), reachable, generatorId);
+    }
+  }
+});
+
+for (const solverId of ['greedy', 'dijkstra']) {
+  test(`${solverId}: unreachable goal gives the [start, goal] plan`, () => checkNoPath(solverId));
+}
+
+for (const solverId of ['bibfs', 'biastar']) {
+  test(`${solverId}: plans are shortest paths`, () => checkOptimal(solverId));
+
+  test(`${solverId}: events are tagged and the meet cost is the plan cost`, () => {
+    for (const ctx of mazes('kruskal')) {
+      const { reasoning, plan } = solvers[solverId].solveSync(ctx);
+      const meet = reasoning[reasoning.length - 1];
+      assert.deepEqual([meet[0], meet[3]], ['meet', `c${plan.length - 1}`]);
+      assert.ok(plan.some(([x, y]) => x === meet[1] && y === meet[2]));
+      for (const ev of reasoning.slice(0, -1)) assert.ok(['fwd', 'bwd'].includes(ev[1]), ev.join(' '));
+    }
+  });
+
+  test(`${solverId}: unreachable goal gives the [start, goal] plan`, () => checkNoPath(solverId));
+}
+
+test('idastar: plans are shortest paths', () => checkOptimal('idastar'));
+
+test('idastar: the trace opens with a bound and ends by expanding the goal', () => {
+  for (const ctx of mazes('wilson')) {
+    const { reasoning, gaveUp } = solvers.idastar.solveSync(ctx);
+    assert.equal(gaveUp, false);
+    assert.deepEqual(reasoning[0], ['bound', `c${ctx.heuristic(ctx.startX, ctx.startY, ctx.goalX, ctx.goalY)}`]);
+    assert.deepEqual(reasoning[reasoning.length - 1].slice(0, 3), ['expand', ctx.goalX, ctx.goalY]);
+  }
+});
+
+test('idastar: hitting --max-trace gives up with the shortest-path plan', () => {
+  const [ctx] = mazes('kruskal', { count: 1 });
+  const { reasoning, plan, gaveUp } = solvers.idastar.solveSync({ ...ctx, maxTrace: 5 });
+  assert.equal(gaveUp, true);
+  assert.deepEqual(reasoning[reasoning.length - 1], ['giveup']);
+  assert.deepEqual(plan, solvers.bfs.solveSync(ctx).plan);
+});
+
+test('idastar: unreachable goal gives the [start, goal] plan', () => checkNoPath('idastar'));
+
+test('jps: plans are shortest paths', () => checkOptimal('jps'));
+
+test('jps: plans stay shortest paths with other admissible heuristics', () => {
+  for (const id of ['zero', 'euclidean']) checkOptimal('jps', { heuristic: makeHeuristic(id) });
+});
+
+test('jps: traces use the A* grammar and are shorter than A* traces on open caves', () => {
+  let jpsEvents = 0, astarEvents = 0;
+  for (const ctx of mazes('cellular_automata')) {
+    const { reasoning } = solvers.jps.solveSync(ctx);
+    for (const ev of reasoning) {
+      assert.ok(ev.length === 5 && ['create', 'close'].includes(ev[0]), ev.join(' '));
+    }
+    jpsEvents += reasoning.length;
+    astarEvents += solvers.astar.solveSync(ctx).reasoning.length;
+  }
+  assert.ok(jpsEvents < astarEvents, `${jpsEvents} JPS events vs ${astarEvents} A* events`);
+});
+
+test('jps: unreachable goal gives the [start, goal] plan, as for A*', () => {
+  checkNoPath('jps');
+  const ctx = unreachableMaze();
+  assert.deepEqual(solvers.jps.solveSync(ctx).plan, solvers.astar.solveSync(ctx).plan);
+});